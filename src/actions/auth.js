@@ -5,6 +5,7 @@ import { createDeviceKeyStorageProvider } from '../lib/device-key-storage.js';
 import { getSecretProvider } from '../lib/secrets.js';
 import prompts from 'prompts';
 import { resolveApiBaseUrl } from '../lib/api-url.js';
+import { formatOutput, getOutputFormat } from '../lib/format.js';
 
 // Create a device key provider function for CLI
 function createDeviceKeyProvider() {
@@ -72,7 +73,9 @@ export const exec = async (context) => {
         `  ${context.personality} auth login [--scope="user"] [--timeout=120] [--api-url=URL]`
       );
       console.error(`  ${context.personality} auth logout [--debug]`);
-      console.error(`  ${context.personality} auth profile [--api-url=URL] [--debug]`);
+      console.error(
+        `  ${context.personality} auth profile [--format=json|yaml|toml|env|table] [--api-url=URL] [--debug]`
+      );
       console.error(`  ${context.personality} auth change-password [--api-url=URL] [--debug]`);
       console.error('');
       console.error('Commands:');
@@ -300,6 +303,10 @@ async function logoutCommand(context) {
 
 async function profileCommand(context) {
   try {
+    const format = getOutputFormat(context.flags);
+    // With --format, stdout carries only the formatted profile
+    const log = format ? console.error : console.log;
+
     // Create password provider for keychain operations
     const passwordProvider = {
       async getPassword(promptText) {
@@ -352,11 +359,27 @@ async function profileCommand(context) {
     // Check if authenticated
     const session = client.getSession();
     if (!session) {
-      console.log(chalk.yellow('⚠️  Not authenticated. Run login first.'));
-      console.log(chalk.white(`   ${context.personality} auth login`));
+      log(chalk.yellow('⚠️  Not authenticated. Run login first.'));
+      log(chalk.white(`   ${context.personality} auth login`));
       process.exit(1);
     }
 
+    if (format) {
+      // Tokens themselves are never printed, only whether they're present
+      const profile = {
+        subjectId: session.subject.id,
+        subjectHash: session.subject.hash,
+        scopes: session.scopes,
+        createdAt: new Date(session.createdAt).toISOString(),
+        expiresAt: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+        expired: session.expiresAt ? Date.now() >= session.expiresAt : false,
+        hasAccessToken: Boolean(session.accessToken),
+        hasRefreshToken: Boolean(session.refreshToken),
+      };
+      console.log(formatOutput(profile, format));
+      return;
+    }
+
     // Display session information
     console.log(chalk.green('👤 User Profile'));
     console.log(chalk.white(`   Subject ID: ${session.subject.id}`));
@@ -442,8 +465,8 @@ async function changePasswordCommand(context) {
     // Check if authenticated
     const session = client.getSession();
     if (!session) {
-      console.log(chalk.yellow('⚠️  Not authenticated. Please login first.'));
-      console.log(chalk.white(`   ${context.personality} auth login`));
+      console.error(chalk.yellow('⚠️  Not authenticated. Please login first.'));
+      console.error(chalk.white(`   ${context.personality} auth login`));
       process.exit(1);
     }
 
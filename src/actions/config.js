@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import config from '../lib/config.js';
+import { formatOutput, getOutputFormat } from '../lib/format.js';
 
 export const description = 'Manage global config (set, get, list)';
 
@@ -40,6 +41,18 @@ export const exec = async (context) => {
     }
 
     case 'list': {
+      let format;
+      try {
+        format = getOutputFormat(context.flags);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      if (format) {
+        console.log(formatOutput(config.store, format));
+        break;
+      }
+
       console.log(chalk.blue('Global config:'));
       for (const [k, v] of Object.entries(config.store)) {
         console.log(`${k}=${v}`);
@@ -65,7 +78,7 @@ export const exec = async (context) => {
       console.error('Usage:');
       console.error(`  ${context.personality} config set KEY VALUE`);
       console.error(`  ${context.personality} config get KEY`);
-      console.error(`  ${context.personality} config list`);
+      console.error(`  ${context.personality} config list [--format=json|yaml|toml|env|table]`);
       console.error(`  ${context.personality} config delete KEY`);
       process.exit(1);
     }
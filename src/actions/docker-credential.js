@@ -0,0 +1,105 @@
+import chalk from 'chalk';
+import { createClient } from '../lib/client.js';
+import getStdin from 'get-stdin';
+import {
+  DOCKER_CREDENTIAL_ROOT,
+  DOCKER_NOT_FOUND,
+  dockerCredentialPath,
+  parseDockerCredential,
+} from '../lib/docker-credential.js';
+
+export const description = 'Docker credential helper that keeps registry logins in the vault';
+
+function usage(context) {
+  console.error(`Usage: ${context.personality} docker-credential get|store|erase|list`);
+  console.error('');
+  console.error('Docker runs it as docker-credential-identa, which npm installs alongside');
+  console.error(`${context.personality}. Set "credsStore": "identa" in ~/.docker/config.json.`);
+  console.error('');
+  console.error('Registry logins are stored as private fragments under credentials/docker/,');
+  console.error('e.g. credentials/docker/ghcr.io');
+}
+
+// stdout belongs to Docker, so every message goes to stderr
+export const exec = async (context) => {
+  const [, operation] = context.input;
+  if (!['get', 'store', 'erase', 'list'].includes(operation)) {
+    usage(context);
+    process.exit(1);
+  }
+
+  let input;
+  let fragmentPath;
+  try {
+    input = operation === 'list' ? '' : (await getStdin()).trim();
+    if (operation === 'store') {
+      input = parseDockerCredential(input);
+      fragmentPath = dockerCredentialPath(input.ServerURL);
+    } else if (operation !== 'list') {
+      fragmentPath = dockerCredentialPath(input);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Invalid credential request:'), error.message);
+    process.exit(1);
+  }
+
+  try {
+    const client = await createClient(context, { reserveStdout: true });
+    if (!client.getSession()) {
+      console.error(
+        chalk.yellow(`⚠️  identa: not logged in, run: ${context.personality} auth login`)
+      );
+      // For get this means "no credentials", so anonymous pulls keep working
+      if (operation === 'get') {
+        process.stdout.write(`${DOCKER_NOT_FOUND}\n`);
+      }
+      process.exit(1);
+    }
+
+    switch (operation) {
+      case 'get': {
+        const stored = await client.get(fragmentPath);
+        if (!stored) {
+          process.stdout.write(`${DOCKER_NOT_FOUND}\n`);
+          process.exit(1);
+        }
+        process.stdout.write(`${JSON.stringify({ ...stored, ServerURL: input })}\n`);
+        break;
+      }
+
+      case 'store': {
+        await client.put(fragmentPath, input, { visibility: 'private' });
+        break;
+      }
+
+      case 'erase': {
+        if (!(await client.getRaw(fragmentPath))) {
+          process.stdout.write(`${DOCKER_NOT_FOUND}\n`);
+          process.exit(1);
+        }
+        await client.del(fragmentPath);
+        break;
+      }
+
+      case 'list': {
+        const registries = {};
+        for (const item of (await client.list(DOCKER_CREDENTIAL_ROOT)) || []) {
+          const itemPath = typeof item === 'string' ? item : item.path;
+          if (!itemPath.startsWith(DOCKER_CREDENTIAL_ROOT)) continue;
+          const stored = await client.get(itemPath);
+          if (stored?.ServerURL) {
+            registries[stored.ServerURL] = stored.Username || '';
+          }
+        }
+        process.stdout.write(`${JSON.stringify(registries)}\n`);
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ identa docker-credential ${operation} failed:`), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+};
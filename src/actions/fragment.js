@@ -1,111 +1,56 @@
-import { decodeBase64Url } from '../lib/bytes.js';
-
-import { IdentClient } from '@ident-agency/core';
 import chalk from 'chalk';
+import { createClient } from '../lib/client.js';
 import config from '../lib/config.js';
-import { createDeviceKeyStorageProvider } from '../lib/device-key-storage.js';
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, readArchive, writeArchive } from '../lib/archive.js';
+import {
+  fileToValue,
+  hashContent,
+  isSafeRelPath,
+  listLocalFiles,
+  loadSyncState,
+  normalizePrefix,
+  planSync,
+  remoteRevision,
+  saveSyncState,
+  valueToFile,
+} from '../lib/sync.js';
+import {
+  decodeBinaryPayload,
+  encodeBinaryPayload,
+  getBinaryInfo,
+  guessContentType,
+} from '../lib/payload.js';
+import { applyPatch } from '../lib/patch.js';
+import {
+  SCHEMA_ROOT,
+  compileSchema,
+  compileSchemaEntries,
+  findSchemaViolations,
+  schemaCovers,
+  schemaPathFor,
+} from '../lib/schema.js';
+import { formatOutput, getOutputFormat } from '../lib/format.js';
+import { formatQueryResult, runQuery } from '../lib/query.js';
+import { mapWithConcurrency } from '../lib/pool.js';
+import { createMatcher, highlightMatches, matchSnippet, searchValue } from '../lib/search.js';
+import { scanBytes, scanForSecrets } from '../lib/secret-scan.js';
+import { SNAPSHOT_ROOT, parseTime, planRestore, snapshotPathFor } from '../lib/snapshot.js';
+import {
+  DOTENV_MANIFEST,
+  formatDotenvFile,
+  parseDotenvFile,
+  toManifest,
+} from '../lib/dotenv-file.js';
+import { buildTree, formatSize, renderTree, summarizeTree } from '../lib/tree.js';
+import { waitFor } from '../lib/wait.js';
+import { matchesTags, parseMetaFields, parseTags, pickUserMeta } from '../lib/tags.js';
+import { getTrash, recordDeletion, removeFromTrash } from '../lib/trash.js';
+import { diffJson, diffText } from '../lib/diff.js';
 import fs from 'fs';
-import { getSecretProvider } from '../lib/secrets.js';
 import os from 'os';
 import path from 'path';
 import prompts from 'prompts';
-import { resolveApiBaseUrl } from '../lib/api-url.js';
-
-// Create a device key provider function for CLI
-function createDeviceKeyProvider() {
-  return async (keyIdOrDeviceId) => {
-    const secrets = await getSecretProvider();
-    const service = 'ident-agency-cli';
-
-    // Try to get device key using the full keyId first (new format)
-    // Format: "device:xxx-xxx:timestamp"
-    let key = `device-key-${keyIdOrDeviceId}`;
-    let deviceKeyB64 = await secrets.get(service, key);
-
-    if (!deviceKeyB64) {
-      throw new Error(`Device key not found for: ${keyIdOrDeviceId}`);
-    }
-
-    // console.log(
-    //   chalk.blue(
-    //     `🔐 Using device key from secure storage (${secrets.type()}): ${key} ${deviceKeyB64}`
-    //   )
-    // );
-
-    return Buffer.from(decodeBase64Url(deviceKeyB64));
-  };
-}
-
-// Create an SSH key provider function for CLI
-function createSSHKeyProvider(customKeyPath) {
-  return async () => {
-    const defaultKeyPath = path.join(os.homedir(), '.ssh', 'id_ed25519');
-    const rsaKeyPath = path.join(os.homedir(), '.ssh', 'id_rsa');
-
-    let keyPath;
-
-    // If custom key path provided via flag, use it
-    if (customKeyPath) {
-      // Expand ~ to home directory if present
-      keyPath = customKeyPath.replace(/^~/, os.homedir());
-
-      if (!fs.existsSync(keyPath)) {
-        console.error(chalk.red(`❌ SSH key not found at: ${keyPath}`));
-        // Fall back to prompting
-        const response = await prompts({
-          type: 'text',
-          name: 'keyPath',
-          message: 'Enter path to SSH private key:',
-          initial: defaultKeyPath,
-        });
-        if (!response.keyPath) {
-          throw new Error('SSH key path is required');
-        }
-        keyPath = response.keyPath.replace(/^~/, os.homedir());
-      }
-    } else {
-      // Try default locations
-      keyPath = defaultKeyPath;
-      if (!fs.existsSync(keyPath)) {
-        if (fs.existsSync(rsaKeyPath)) {
-          keyPath = rsaKeyPath;
-        } else {
-          // Prompt for custom path
-          console.log(chalk.yellow('⚠️  Default SSH keys not found (id_ed25519 or id_rsa)'));
-          const response = await prompts({
-            type: 'text',
-            name: 'keyPath',
-            message: 'Enter path to SSH private key:',
-            initial: defaultKeyPath,
-          });
-          if (!response.keyPath) {
-            throw new Error('SSH key path is required');
-          }
-          keyPath = response.keyPath.replace(/^~/, os.homedir());
-        }
-      }
-    }
-
-    // Verify the key exists before trying to read it
-    if (!fs.existsSync(keyPath)) {
-      throw new Error(`SSH key not found at: ${keyPath}`);
-    }
-
-    const privateKey = fs.readFileSync(keyPath, 'utf8');
-
-    let passphrase;
-    if (privateKey.includes('ENCRYPTED')) {
-      const response = await prompts({
-        type: 'password',
-        name: 'passphrase',
-        message: `Enter passphrase for SSH key (${path.basename(keyPath)}):`,
-      });
-      passphrase = response.passphrase;
-    }
-
-    return { privateKey, passphrase };
-  };
-}
+import { spawnSync } from 'child_process';
 
 // Helper function to extract fragment visibility (copied from web example)
 function getFragmentVisibility(fragment) {
@@ -127,257 +72,317 @@ function getFragmentVisibility(fragment) {
   return 'unknown';
 }
 
-export const description = 'Manage fragments (get, put, list, delete)';
+// The SDK has no getRaw() for other subjects' public fragments, so this mirrors
+// getPublic() without decoding, for the meta that says how to decode binary values
+async function getPublicRaw(client, fragmentPath, subject, opts = {}) {
+  const subjectObj = subject.includes(':') ? { id: subject } : { hash: subject };
+  const response = await client.apiClient.getFragment({
+    subject: subjectObj,
+    claimedSubject: subjectObj,
+    path: fragmentPath,
+    meta: opts.version ? { version: opts.version } : undefined,
+  });
+  return response.fragments[0] || null;
+}
 
-export const exec = async (context) => {
-  const [, subcommand, path, ...rest] = context.input;
-  const value = rest.join(' ');
+// Visibility to use when re-storing a fragment; anything not clearly public stays private
+function getWriteVisibility(fragment) {
+  return getFragmentVisibility(fragment) === 'public' ? 'public' : 'private';
+}
 
-  if (context.flags.debug) {
-    console.log(chalk.blue(`Running fragment command: ${subcommand} ${path} ${value}`));
-  }
+// list() may return plain paths or fragment objects depending on the API version
+function getFragmentPath(fragment) {
+  return typeof fragment === 'string' ? fragment : fragment.path;
+}
 
-  // Create password provider for keychain operations
-  const passwordProvider = {
-    async getPassword(promptText) {
-      // First password entry
-      const response = await prompts(
-        {
-          type: 'password',
-          name: 'password',
-          message: promptText,
-          validate: (value) =>
-            value.length >= 8 ? true : 'Password must be at least 8 characters',
-        },
-        {
-          onCancel: () => {
-            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
-            process.exit(1);
-          },
-        }
-      );
+// Size of the stored (possibly encrypted) payload in bytes
+function getFragmentSize(fragment) {
+  if (!fragment?.fragment) return 0;
+  const payload =
+    typeof fragment.fragment === 'string' ? fragment.fragment : JSON.stringify(fragment.fragment);
+  return new TextEncoder().encode(payload).length;
+}
 
-      if (!response.password) {
-        throw new Error('Password is required for keychain operations');
+// How many versions history and get --at look at unless --limit says otherwise
+const DEFAULT_VERSION_LIMIT = 50;
+
+// Walks a fragment's versions from newest to oldest using getRaw({ version }), starting at
+// `fromVersion` (default: the current one) and trying at most `limit` versions. The API has
+// no version listing, so versions that come back as not found are skipped; any other error
+// ends the walk. Yields { envelope, version }, then returns the oldest version it didn't
+// try (0 when it reached version 1).
+async function* walkVersions(client, fragmentPath, { fromVersion, limit }) {
+  let top = fromVersion;
+  let current;
+  if (top === undefined) {
+    current = await client.getRaw(fragmentPath);
+    top = current?.meta?.version;
+    if (top === undefined) {
+      if (current) {
+        yield { envelope: current, version: undefined };
       }
+      return 0;
+    }
+  }
 
-      // Confirmation - only if this looks like initial setup (not unlock)
-      if (promptText.toLowerCase().includes('create') || promptText.toLowerCase().includes('new')) {
-        const confirmResponse = await prompts(
-          {
-            type: 'password',
-            name: 'password',
-            message: 'Confirm password:',
-            validate: (value) => (value === response.password ? true : 'Passwords do not match'),
-          },
-          {
-            onCancel: () => {
-              console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
-              process.exit(1);
-            },
-          }
-        );
-
-        if (!confirmResponse.password) {
-          throw new Error('Password confirmation is required');
+  const bottom = Math.max(top - limit, 0);
+  for (let version = top; version > bottom; version--) {
+    let envelope;
+    if (version === current?.meta?.version) {
+      envelope = current;
+    } else {
+      try {
+        envelope = await client.getRaw(fragmentPath, { version });
+      } catch (err) {
+        if (err.status !== 404) {
+          throw err;
         }
+        envelope = null;
       }
+    }
+    if (envelope) {
+      yield { envelope, version };
+    }
+  }
+  return bottom;
+}
 
-      return response.password;
-    },
-    async getText(promptText) {
-      // Text input (not hidden like password)
-      const response = await prompts(
-        {
-          type: 'text',
-          name: 'text',
-          message: promptText,
-        },
-        {
-          onCancel: () => {
-            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
-            process.exit(1);
-          },
-        }
-      );
+function parseVersionLimit(context) {
+  return parseListNumber(context.flags.limit, '--limit', DEFAULT_VERSION_LIMIT, 1);
+}
 
-      if (!response.text) {
-        throw new Error('Text input is required');
-      }
+// Version history, newest first; `older` is the newest version left out by the limit (0 if none)
+async function getFragmentHistory(client, fragmentPath, fromVersion, limit) {
+  const history = [];
+  const versions = walkVersions(client, fragmentPath, { fromVersion, limit });
+  for (;;) {
+    const { value, done } = await versions.next();
+    if (done) {
+      return { history, older: value };
+    }
+    history.push(describeVersion(value.envelope, value.version));
+  }
+}
 
-      return response.text;
-    },
+function describeVersion(envelope, version) {
+  return {
+    version: envelope.meta?.version ?? version,
+    ts: envelope.meta?.ts,
+    size: getFragmentSize(envelope),
+    visibility: getFragmentVisibility(envelope),
+    deleted: Boolean(envelope.meta?.deleted ?? envelope.deleted),
   };
+}
 
-  // Parse timeout from --timeout flag (in milliseconds)
-  let timeoutMs;
-  if (context.flags.timeout) {
-    timeoutMs = parseInt(context.flags.timeout, 10);
-    if (isNaN(timeoutMs) || timeoutMs <= 0) {
-      console.error(
-        chalk.red('❌ Invalid timeout value. Must be a positive number in milliseconds.')
-      );
-      process.exit(1);
-    }
-    if (context.flags.debug) {
-      console.log(chalk.blue(`🔧 API timeout: ${timeoutMs}ms`));
+// Newest version written on or before `time` among the `limit` newest versions.
+// Returns null if every version it looked at is newer.
+async function findVersionAt(client, fragmentPath, time, limit) {
+  for await (const { envelope, version } of walkVersions(client, fragmentPath, { limit })) {
+    if (envelope.meta?.ts && new Date(envelope.meta.ts) <= time) {
+      return { ...envelope, meta: { version, ...envelope.meta } };
     }
   }
+  return null;
+}
 
-  // Parse --no-retry flag (meow converts --no-retry to retry: false)
-  const disableRetries = context.flags.retry === false;
-  if (disableRetries && context.flags.debug) {
-    console.log(chalk.blue('🔧 API retries disabled'));
+// The trash list is local bookkeeping: failing to update it is worth a warning, not an
+// error, since the change on the server has already been made
+function updateTrash(update) {
+  try {
+    update();
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️  Couldn't update the local trash list: ${error.message}`));
   }
+}
 
-  // Resolve API base URL with fallback logic: flag -> config -> production default
-  const apiBaseUrl = resolveApiBaseUrl(context.flags.apiUrl, context.flags.debug);
+// Exit code when --if-version/--if-absent doesn't hold, so scripts can tell a
+// concurrent write apart from other failures
+const EXIT_PRECONDITION_FAILED = 3;
 
-  // Create device key storage provider for the SDK
-  const deviceKeyStorageProvider = await createDeviceKeyStorageProvider();
+function parseWritePrecondition(context) {
+  const { ifVersion, ifAbsent } = context.flags;
+  if (ifVersion === undefined && !ifAbsent) {
+    return null;
+  }
+  if (ifVersion !== undefined && ifAbsent) {
+    console.error(chalk.red('❌ Use either --if-version or --if-absent, not both'));
+    process.exit(1);
+  }
+  if (ifAbsent) {
+    return { ifAbsent: true };
+  }
+  const expected = Number(ifVersion);
+  if (!Number.isInteger(expected) || expected < 1) {
+    console.error(chalk.red('❌ --if-version must be a positive integer'));
+    process.exit(1);
+  }
+  return { ifVersion: expected };
+}
 
-  // Create SDK client instance
-  const sshProvider = createSSHKeyProvider(context.flags.sshKey);
-  if (context.flags.debug) {
-    console.log(chalk.blue('🔧 SSH Key Provider created:', typeof sshProvider));
-    if (context.flags.sshKey) {
-      console.log(chalk.blue('🔧 Custom SSH key path:', context.flags.sshKey));
-    }
+// Exits with EXIT_PRECONDITION_FAILED unless the fragment is at the expected
+// version (or absent/deleted for --if-absent)
+async function checkWritePrecondition(client, fragmentPath, precondition, envelope) {
+  if (!precondition) {
+    return;
+  }
+  const current = envelope === undefined ? await client.getRaw(fragmentPath) : envelope;
+  const exists = Boolean(current) && !(current.meta?.deleted ?? current.deleted);
+  const currentVersion = current?.meta?.version;
+
+  let reason;
+  if (precondition.ifAbsent && exists) {
+    reason = `${fragmentPath} already exists${
+      currentVersion ? ` (version ${currentVersion})` : ''
+    }`;
+  } else if (precondition.ifVersion !== undefined && !exists) {
+    reason = `${fragmentPath} doesn't exist, expected version ${precondition.ifVersion}`;
+  } else if (precondition.ifVersion !== undefined && currentVersion !== precondition.ifVersion) {
+    reason = `${fragmentPath} is at version ${currentVersion ?? 'unknown'}, expected ${
+      precondition.ifVersion
+    }`;
   }
 
-  const client = IdentClient.create({
-    apiBaseUrl,
-    clientId: 'ident-cli',
-    scopes: ['user'],
-    passwordProvider,
-    deviceKeyProvider: createDeviceKeyProvider(),
-    deviceKeyStorageProvider,
-    sshKeyProvider: sshProvider,
-    debug: context.flags.debug,
-  });
+  if (reason) {
+    console.error(chalk.red(`❌ Precondition failed: ${reason}`));
+    console.error(chalk.gray('   Nothing was changed. Re-read the fragment and try again.'));
+    process.exit(EXIT_PRECONDITION_FAILED);
+  }
+}
 
-  // Configure timeout and retry settings if provided
-  const retryOptions = {};
+// For read-modify-write commands (edit, patch, publish/unpublish): says so and returns
+// true if the fragment was written since we read it at `revision`. Like --if-version,
+// this is a check right before the write, not an atomic compare-and-swap.
+async function changedSinceRead(client, fragmentPath, revision) {
+  const current = await client.getRaw(fragmentPath);
+  if (remoteRevision(current) === revision) {
+    return false;
+  }
+  console.error(chalk.red(`❌ ${fragmentPath} changed since it was read, not saving`));
+  return true;
+}
 
-  if (timeoutMs) {
-    retryOptions.timeout = timeoutMs;
-    retryOptions.overallTimeout = Math.max(timeoutMs * 3, 60000); // At least 60 seconds for overall timeout
+// Loads the registered prefix schemas (see `fragment schema set`) that cover any of
+// the given paths; the rest are never fetched or decrypted
+async function loadSchemas(client, fragmentPaths) {
+  const paths = ((await client.list(SCHEMA_ROOT)) || [])
+    .map(getFragmentPath)
+    .filter((schemaPath) => fragmentPaths.some((p) => schemaCovers(schemaPath, p)));
+  const entries = [];
+  for (const schemaPath of paths) {
+    entries.push(await client.get(schemaPath));
   }
+  return compileSchemaEntries(entries);
+}
 
-  if (disableRetries) {
-    retryOptions.maxRetries = 0;
+function printSchemaViolations(fragmentPath, violations) {
+  for (const { prefix, errors } of violations) {
+    console.error(chalk.red(`❌ ${fragmentPath} doesn't match the schema for ${prefix}`));
+    for (const error of errors) {
+      console.error(chalk.gray(`   ${error}`));
+    }
   }
+}
 
-  if (Object.keys(retryOptions).length > 0) {
-    client.setRetryOptions(retryOptions);
+// Public fragments are stored in plaintext, so refuse values that look like
+// credentials unless --allow-secrets is given. Returns false if the write should stop.
+function checkPublicValue(context, fragmentPath, value, meta) {
+  if (context.flags.allowSecrets) {
+    return true;
+  }
+  // Binary payloads are base64 and would always look random, so scan the decoded bytes
+  const binary = getBinaryInfo(meta);
+  const findings = binary
+    ? scanBytes(decodeBinaryPayload(value), binary.contentType).map((finding) => ({
+        at: 'bytes',
+        ...finding,
+      }))
+    : scanForSecrets(value);
+  if (findings.length === 0) {
+    return true;
   }
+  console.error(
+    chalk.red(`❌ Refusing to make ${fragmentPath} public: it looks like it contains secrets`)
+  );
+  for (const { at, type, sample } of findings) {
+    console.error(chalk.gray(`   ${at}: ${type} (${sample})`));
+  }
+  console.error(
+    chalk.yellow('💡 Store it as private instead, or pass --allow-secrets if this is intended')
+  );
+  return false;
+}
 
-  try {
-    await client.ready();
+const LIST_SORTS = ['path', 'date', 'size'];
 
-    // Add unlock method selection handler
-    client.on('unlock_method_selection', async (data) => {
-      const { methods, resolve, reject } = data;
+function parseListNumber(value, name, fallback, min = 0) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    console.error(chalk.red(`❌ ${name} must be an integer of at least ${min}`));
+    process.exit(1);
+  }
+  return number;
+}
 
-      // Get detailed methods directly instead of trying to work with what the SDK provides
-      let displayMethods = [];
-      try {
-        const detailedMethods = await client.getDetailedUnlockMethods();
-
-        // Build display methods from detailed methods using keyId as unique identifier
-        displayMethods = detailedMethods.map((dm) => {
-          // Build display name based on method type
-          let displayName = dm.method.charAt(0).toUpperCase() + dm.method.slice(1);
-          let detail = '';
-
-          if (dm.method === 'password') {
-            displayName = dm.description || 'Password';
-            if (dm.createdAt) {
-              detail = new Date(dm.createdAt).toLocaleDateString();
-            }
-          } else if (dm.method === 'passkey') {
-            displayName = dm.description || 'Passkey';
-            // Add type and credential info for passkeys
-            if (dm.type === 'passkey-prf') {
-              detail = 'PRF';
-            } else if (dm.type === 'passkey-blob') {
-              detail = 'Large Blob';
-            } else if (dm.type === 'passkey-server') {
-              detail = 'Touch ID';
-            }
-            // Add credential ID to distinguish multiple passkeys
-            if (dm.credentialId) {
-              const shortId = dm.credentialId.substring(0, 8);
-              detail = detail ? `${detail} (${shortId}...)` : `(${shortId}...)`;
-            }
-            if (dm.createdAt) {
-              detail += detail ? `, ${new Date(dm.createdAt).toLocaleDateString()}` : new Date(dm.createdAt).toLocaleDateString();
-            }
-          } else if (dm.method === 'device') {
-            displayName = dm.device?.description || `Device Key`;
-            if (dm.device?.platform) {
-              detail = dm.device.platform;
-            }
-            if (dm.createdAt) {
-              detail += detail ? `, ${new Date(dm.createdAt).toLocaleDateString()}` : new Date(dm.createdAt).toLocaleDateString();
-            }
-          } else if (dm.method === 'recovery') {
-            displayName = 'Recovery Phrase';
-            if (dm.createdAt) {
-              detail = new Date(dm.createdAt).toLocaleDateString();
-            }
-          } else if (dm.method === 'ssh') {
-            displayName = 'SSH Key';
-            if (dm.createdAt) {
-              detail = new Date(dm.createdAt).toLocaleDateString();
-            }
+// One row of `fragment list` output
+function describeListing(fragmentPath, envelope) {
+  if (!envelope) {
+    return { path: fragmentPath, visibility: 'unknown', error: 'Fragment not found' };
+  }
+  return {
+    path: fragmentPath,
+    visibility: getFragmentVisibility(envelope),
+    created: envelope.meta?.ts ? new Date(envelope.meta.ts).toISOString() : undefined,
+    size: envelope.fragment ? getFragmentSize(envelope) : undefined,
+    tags: envelope.meta?.tags?.length > 0 ? envelope.meta.tags : undefined,
+    fields: envelope.meta?.fields?.length > 0 ? envelope.meta.fields : undefined,
+  };
+}
+
+// Fetches listing rows for many paths with a bounded number of requests in flight
+async function fetchListing(client, paths, concurrency = 8) {
+  if (paths.length === 0) {
+    return [];
+  }
+  return waitFor(
+    (spinner) =>
+      mapWithConcurrency(
+        paths,
+        concurrency,
+        async (fragmentPath) => {
+          try {
+            return describeListing(fragmentPath, await client.getRaw(fragmentPath));
+          } catch (err) {
+            // If we can't get details, fall back to basic display
+            return { path: fragmentPath, visibility: 'unknown', error: err.message };
           }
+        },
+        (done, total) => {
+          spinner.text = `Fetching details ${done}/${total}`;
+        }
+      ),
+    { text: `Fetching details 0/${paths.length}` }
+  );
+}
 
-          return {
-            id: dm.keyId,  // Use keyId as the unique identifier
-            displayName,
-            detail: detail || undefined
-          };
-        });
-      } catch (err) {
-        // Fall back to SDK-provided methods if we can't get detailed methods
-        displayMethods = methods;
-      }
+export const description = 'Manage fragments (get, put, list, delete)';
 
-      console.log(chalk.blue('🔐 Multiple unlock methods available. Choose one:'));
-      displayMethods.forEach((method, index) => {
-        const displayText = method.detail
-          ? `${method.displayName} ${chalk.gray(`(${method.detail})`)}`
-          : method.displayName;
-        console.log(chalk.white(`   ${index + 1}. ${displayText}`));
-      });
+export const exec = async (context) => {
+  const [, subcommand, path, ...rest] = context.input;
+  const value = rest.join(' ');
 
-      prompts({
-        type: 'number',
-        name: 'choice',
-        message: `Select unlock method (1-${displayMethods.length}):`,
-        min: 1,
-        max: displayMethods.length,
-        validate: (value) => {
-          if (!value || value < 1 || value > displayMethods.length) {
-            return `Please enter a number between 1 and ${displayMethods.length}`;
-          }
-          return true;
-        },
-      })
-        .then((response) => {
-          if (!response.choice) {
-            reject(new Error('No unlock method selected'));
-          } else {
-            const selectedMethod = displayMethods[response.choice - 1];
-            console.log(chalk.white(`✅ Selected: ${selectedMethod.displayName}`));
-            resolve(selectedMethod.id);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  if (context.flags.debug) {
+    console.log(chalk.blue(`Running fragment command: ${subcommand} ${path} ${value}`));
+  }
+
+  let client;
+  try {
+    // get and dotenv pull write data to stdout, as does anything with --format
+    const reserveStdout =
+      ['get', 'dotenv'].includes(subcommand) || Boolean(getOutputFormat(context.flags));
+    client = await createClient(context, { reserveStdout });
 
     // For write operations, always require authentication (with current user scopes)
     if (subcommand !== 'get' && subcommand !== 'list') {
@@ -397,12 +402,13 @@ export const exec = async (context) => {
     case 'get': {
       if (!path) {
         console.error(
-          `Usage: ${context.personality} fragment get PATH [--raw] [--version=N] [--subject=email:user@domain.com] [--timeout=30000] [--no-retry] [--api-url=URL]`
+          `Usage: ${context.personality} fragment get PATH [--raw] [--version=N|--at=TIME] [--query=EXPR] [--raw-output] [--format=json|yaml|toml|env|table] [--output=FILE] [--subject=email:user@domain.com] [--timeout=30000] [--no-retry] [--api-url=URL]`
         );
         process.exit(1);
       }
 
       try {
+        const format = getOutputFormat(context.flags);
         let subjectToUse = context.flags.subject;
         let usePublicAccess = false;
 
@@ -414,24 +420,24 @@ export const exec = async (context) => {
             // Not authenticated - check if we have a last user to suggest
             if (config.has('lastUser')) {
               const lastUser = config.get('lastUser');
-              console.log(chalk.yellow('⚠️  Not authenticated'));
-              console.log(chalk.white(`   Try running: ${context.personality} login`));
-              console.log(
+              console.error(chalk.yellow('⚠️  Not authenticated'));
+              console.error(chalk.white(`   Try running: ${context.personality} login`));
+              console.error(
                 chalk.gray(
                   `   Or specify subject for public access: ${context.personality} fragment get ${path} --subject="${lastUser}"`
                 )
               );
-              process.exit(0);
+              process.exit(1);
             } else {
               // No last user - just suggest login or subject
-              console.log(chalk.yellow('⚠️  Not authenticated'));
-              console.log(chalk.white(`   Try running: ${context.personality} login`));
-              console.log(
+              console.error(chalk.yellow('⚠️  Not authenticated'));
+              console.error(chalk.white(`   Try running: ${context.personality} login`));
+              console.error(
                 chalk.gray(
                   `   Or specify subject for public access: ${context.personality} fragment get ${path} --subject="email:user@domain.com"`
                 )
               );
-              process.exit(0);
+              process.exit(1);
             }
           }
           // If we reach here, we're authenticated and can proceed with normal access
@@ -441,12 +447,37 @@ export const exec = async (context) => {
         }
 
         // Parse version flag if provided
-        const version = context.flags.version ? parseInt(context.flags.version, 10) : undefined;
+        let version = context.flags.version ? parseInt(context.flags.version, 10) : undefined;
         if (version !== undefined && (isNaN(version) || version < 0)) {
           console.error(chalk.red('❌ Version must be a non-negative integer'));
           process.exit(1);
         }
 
+        if (context.flags.at !== undefined) {
+          if (version !== undefined || usePublicAccess) {
+            console.error(chalk.red("❌ --at can't be combined with --version or --subject"));
+            process.exit(1);
+          }
+          const at = parseTime(context.flags.at);
+          const limit = parseVersionLimit(context);
+          const envelope = await findVersionAt(client, path, at, limit);
+          if (!envelope || envelope.meta?.deleted || envelope.deleted) {
+            console.error(chalk.yellow(`⚠️  ${path} didn't exist at ${at.toISOString()}`));
+            if (!envelope) {
+              console.error(
+                chalk.gray(`   Only the newest ${limit} version(s) were checked; raise --limit`)
+              );
+            }
+            process.exit(1);
+          }
+          version = envelope.meta.version;
+          console.error(
+            chalk.gray(
+              `   Version ${version} (written ${new Date(envelope.meta.ts).toISOString()})`
+            )
+          );
+        }
+
         if (usePublicAccess) {
           if (context.flags.debug) {
             console.log(chalk.white(`🔍 Getting public fragment: ${path}`));
@@ -510,14 +541,41 @@ export const exec = async (context) => {
           fragment = await client.get(path, opts);
         }
 
-        if (fragment) {
-          console.log(chalk.green('✅ Fragment found:'));
+        if (fragment && context.flags.output) {
+          // Binary fragments are decoded back to their original bytes
+          const rawFragment = usePublicAccess
+            ? await getPublicRaw(client, path, subjectToUse, opts)
+            : await client.getRaw(path, opts);
+          const bytes = getBinaryInfo(rawFragment?.meta)
+            ? decodeBinaryPayload(fragment)
+            : Buffer.from(
+                typeof fragment === 'string' ? fragment : `${JSON.stringify(fragment, null, 2)}\n`
+              );
+          fs.writeFileSync(context.flags.output, bytes, { mode: 0o600 });
+          console.log(chalk.green(`✅ Wrote ${bytes.length} bytes to ${context.flags.output}`));
+        } else if (fragment) {
+          // Only the value goes to stdout so it can be piped
+          console.error(chalk.green('✅ Fragment found:'));
           if (context.flags.debug) {
-            console.log(chalk.blue('🔓 DECRYPTED CONTENT:'));
+            console.error(chalk.blue('🔓 DECRYPTED CONTENT:'));
+          }
+          const results = context.flags.query
+            ? runQuery(fragment, context.flags.query)
+            : [fragment];
+          if (results.length === 0) {
+            console.error(chalk.yellow(`⚠️  Query matched nothing: ${context.flags.query}`));
+            process.exit(1);
+          }
+          if (format) {
+            console.log(formatOutput(results.length === 1 ? results[0] : results, format));
+          } else {
+            for (const result of results) {
+              console.log(formatQueryResult(result, context.flags.rawOutput));
+            }
           }
-          console.log(JSON.stringify(fragment, null, 2));
         } else {
-          console.log(chalk.yellow(`⚠️  Fragment not found: ${path}`));
+          console.error(chalk.yellow(`⚠️  Fragment not found: ${path}`));
+          process.exit(1);
         }
       } catch (error) {
         console.error(chalk.red('❌ Failed to get fragment:'), error.message);
@@ -532,7 +590,7 @@ export const exec = async (context) => {
     case 'put': {
       if (!path) {
         console.error(
-          `Usage: ${context.personality} fragment put PATH [VALUE] [--version=N] [--visibility=public|private] [--timeout=30000] [--no-retry] [--api-url=URL]`
+          `Usage: ${context.personality} fragment put PATH [VALUE|--file=FILE] [--binary] [--content-type=TYPE] [--tag=KEY=VALUE]... [--meta=KEY=VALUE]... [--version=N] [--if-version=N|--if-absent] [--visibility=public|private] [--allow-secrets] [--timeout=30000] [--no-retry] [--api-url=URL]`
         );
         process.exit(1);
       }
@@ -544,8 +602,47 @@ export const exec = async (context) => {
         process.exit(1);
       }
 
+      const precondition = parseWritePrecondition(context);
+
+      let tags;
+      let metaFields;
+      try {
+        tags = parseTags(context.flags.tag);
+        metaFields = parseMetaFields(context.flags.meta);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+
       let data;
-      if (value) {
+      let binaryFields;
+      const filePath = context.flags.file;
+      if (filePath || context.flags.binary) {
+        // Read raw bytes from --file or stdin so nothing is re-encoded on the way in
+        let bytes;
+        if (filePath) {
+          if (!fs.existsSync(filePath)) {
+            console.error(chalk.red(`❌ File not found: ${filePath}`));
+            process.exit(1);
+          }
+          bytes = fs.readFileSync(filePath);
+        } else if (!process.stdin.isTTY) {
+          const chunks = [];
+          for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+          }
+          bytes = Buffer.concat(chunks);
+        } else {
+          console.error(chalk.red('❌ --binary needs --file=PATH or data piped to stdin'));
+          process.exit(1);
+        }
+
+        // Always kept as bytes, so get --output gives back the exact file (newlines,
+        // formatting and all) even when it happens to be text or JSON
+        const contentType = context.flags.contentType || guessContentType(filePath);
+        ({ data, fields: binaryFields } = encodeBinaryPayload(bytes, contentType));
+        console.log(chalk.gray(`   Binary payload: ${bytes.length} bytes (${contentType})`));
+      } else if (value) {
         // Try to parse as JSON, otherwise use as string
         try {
           data = JSON.parse(value);
@@ -635,6 +732,13 @@ export const exec = async (context) => {
         visibility = visibilityResponse.visibility;
       }
 
+      if (
+        visibility === 'public' &&
+        !checkPublicValue(context, path, data, { fields: binaryFields })
+      ) {
+        process.exit(1);
+      }
+
       try {
         console.log(chalk.white(`💾 Storing ${visibility} fragment: ${path}`));
         if (version !== undefined) {
@@ -647,8 +751,26 @@ export const exec = async (context) => {
         if (version !== undefined) {
           opts.version = version;
         }
+        const fields = [...(binaryFields || []), ...metaFields];
+        if (tags.length > 0 || fields.length > 0) {
+          opts.meta = {};
+          if (tags.length > 0) {
+            opts.meta.tags = tags;
+            console.log(chalk.gray(`   Tags: ${tags.join(', ')}`));
+          }
+          if (fields.length > 0) {
+            opts.meta.fields = fields;
+          }
+        }
+
+        const violations = findSchemaViolations(await loadSchemas(client, [path]), path, data);
+        if (violations.length > 0) {
+          printSchemaViolations(path, violations);
+          process.exit(1);
+        }
 
-        await client.put(path, data, opts); // TODO: add tags to meta
+        await checkWritePrecondition(client, path, precondition);
+        await client.put(path, data, opts);
         console.log(chalk.green('✅ Fragment stored successfully'));
 
         if (context.flags.debug) {
@@ -678,67 +800,116 @@ export const exec = async (context) => {
       const prefix = path || '/';
       const detailed = context.flags.detailed || context.flags.d || context.flags.l;
 
+      const sort = context.flags.sort;
+      if (sort !== undefined && !LIST_SORTS.includes(sort)) {
+        console.error(chalk.red(`❌ --sort must be one of: ${LIST_SORTS.join(', ')}`));
+        process.exit(1);
+      }
+      const visibilityFilter = context.flags.visibility;
+      if (visibilityFilter !== undefined && !['public', 'private'].includes(visibilityFilter)) {
+        console.error(chalk.red('❌ --visibility must be public or private'));
+        process.exit(1);
+      }
+      const offset = parseListNumber(context.flags.offset, '--offset', 0);
+      const limit = parseListNumber(context.flags.limit, '--limit', Infinity);
+      const concurrency = parseListNumber(context.flags.concurrency, '--concurrency', 8, 1);
+
       try {
-        console.log(
+        const tagFilters = parseTags(context.flags.tag);
+        const format = getOutputFormat(context.flags);
+        // With --format only the data goes to stdout
+        const log = format ? console.error : console.log;
+        log(
           chalk.white(
             `📋 Listing fragments${prefix !== '/' ? ` with prefix: ${prefix}` : ''}${
               detailed ? ' (detailed)' : ''
             }`
           )
         );
-        const fragments = await client.list(prefix);
-
-        if (fragments && fragments.length > 0) {
-          console.log(chalk.green(`✅ Found ${fragments.length} fragment(s):`));
-
-          if (detailed && fragments.length > 0) {
-            // Fetch detailed information for each fragment
-            console.log(chalk.gray('Fetching detailed information...'));
-            for (let i = 0; i < fragments.length; i++) {
-              const fragmentPath =
-                typeof fragments[i] === 'string' ? fragments[i] : fragments[i].path;
-              try {
-                // Get raw fragment to check visibility
-                const fullFragment = await client.getRaw(fragmentPath);
-                const visibility = getFragmentVisibility(fullFragment);
-                const icon =
-                  visibility === 'public' ? '🌐' : visibility === 'private' ? '🔒' : '❓';
-
-                console.log(`${i + 1}. ${icon} ${fragmentPath} (${visibility})`);
-
-                if (fullFragment.meta?.ts) {
-                  const createdDate = new Date(fullFragment.meta.ts).toISOString();
-                  console.log(chalk.gray(`   Created: ${createdDate}`));
-                }
-
-                if (fullFragment.fragment) {
-                  const size = new TextEncoder().encode(fullFragment.fragment).length;
-                  console.log(chalk.gray(`   Size: ${size} bytes`));
-                }
-              } catch (err) {
-                // If we can't get details, fall back to basic display
-                const visibility = 'unknown';
-                console.log(`${i + 1}. ❓ ${fragmentPath} (${visibility})`);
-                console.log(chalk.gray(`   Error getting details: ${err.message}`));
-              }
-            }
+        const fragments = (await client.list(prefix)) || [];
+        let paths = fragments.map(getFragmentPath);
+        if (sort === 'path') {
+          paths.sort((a, b) => a.localeCompare(b));
+        }
+
+        // Filtering on tags/visibility and sorting by date/size need each fragment's
+        // envelope; without them only the requested page is fetched
+        const needsAllMeta =
+          tagFilters.length > 0 || visibilityFilter || sort === 'date' || sort === 'size';
+        if (!needsAllMeta) {
+          paths = paths.slice(offset, offset + limit);
+        }
+
+        let rows = paths.map((fragmentPath) => ({ path: fragmentPath }));
+        if ((detailed || needsAllMeta) && paths.length > 0) {
+          rows = await fetchListing(client, paths, concurrency);
+
+          if (tagFilters.length > 0) {
+            log(chalk.gray(`Filtering on tags: ${tagFilters.join(', ')}`));
+            rows = rows.filter((row) => !row.error && matchesTags({ tags: row.tags }, tagFilters));
+          }
+          if (visibilityFilter) {
+            rows = rows.filter((row) => row.visibility === visibilityFilter);
+          }
+          if (sort === 'date') {
+            // newest first
+            rows.sort((a, b) => (b.created || '').localeCompare(a.created || ''));
+          } else if (sort === 'size') {
+            // largest first
+            rows.sort((a, b) => (b.size ?? -1) - (a.size ?? -1));
+          }
+          if (needsAllMeta) {
+            rows = rows.slice(offset, offset + limit);
+          }
+        }
+
+        if (rows.length > 0) {
+          log(chalk.green(`✅ Found ${rows.length} fragment(s):`));
+        } else {
+          log(chalk.yellow('⚠️  No fragments found'));
+        }
+
+        if (detailed && rows.length > 0) {
+          if (format) {
+            console.log(formatOutput(rows, format));
           } else {
-            // Basic listing (just paths)
-            fragments.forEach((fragment, index) => {
-              const path = typeof fragment === 'string' ? fragment : fragment.path;
-              console.log(`${index + 1}. ${path}`);
+            rows.forEach((row, i) => {
+              const icon =
+                row.visibility === 'public' ? '🌐' : row.visibility === 'private' ? '🔒' : '❓';
+              console.log(`${offset + i + 1}. ${icon} ${row.path} (${row.visibility})`);
+              if (row.error) {
+                console.log(chalk.gray(`   Error getting details: ${row.error}`));
+              }
+              if (row.created) {
+                console.log(chalk.gray(`   Created: ${row.created}`));
+              }
+              if (row.size !== undefined) {
+                console.log(chalk.gray(`   Size: ${row.size} bytes`));
+              }
+              if (row.tags) {
+                console.log(chalk.gray(`   Tags: ${row.tags.join(', ')}`));
+              }
+              for (const field of row.fields || []) {
+                console.log(chalk.gray(`   ${field.key}: ${field.value}`));
+              }
             });
-            console.log(chalk.gray(`\n💡 Use --detailed flag to see visibility and metadata`));
           }
+        } else if (format) {
+          const listedPaths = rows.map((row) => row.path);
+          console.log(formatOutput(listedPaths, format));
+        } else if (rows.length > 0) {
+          // Basic listing (just paths)
+          rows.forEach((row, index) => {
+            console.log(`${offset + index + 1}. ${row.path}`);
+          });
+          console.log(chalk.gray(`\n💡 Use --detailed flag to see visibility and metadata`));
+        }
 
-          if (context.flags.debug) {
-            console.log(chalk.cyan(`🐛 DEBUG - Raw fragments:`));
-            console.log(chalk.gray('-'.repeat(30)));
-            console.log(JSON.stringify(fragments, null, 2));
-            console.log(chalk.gray('-'.repeat(30)));
-          }
-        } else {
-          console.log(chalk.yellow('⚠️  No fragments found'));
+        if (context.flags.debug && fragments.length > 0) {
+          log(chalk.cyan(`🐛 DEBUG - Raw fragments:`));
+          log(chalk.gray('-'.repeat(30)));
+          log(JSON.stringify(fragments, null, 2));
+          log(chalk.gray('-'.repeat(30)));
         }
       } catch (error) {
         console.error(chalk.red('❌ Failed to list fragments:'), error.message);
@@ -753,35 +924,61 @@ export const exec = async (context) => {
     case 'delete': {
       if (!path) {
         console.error(
-          `Usage: ${context.personality} fragment delete PATH [--timeout=30000] [--no-retry] [--api-url=URL]`
+          `Usage: ${context.personality} fragment delete PATH|-r PREFIX [--if-version=N] [--dry-run] [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
         );
         process.exit(1);
       }
 
-      // Confirm deletion
-      const confirmResponse = await prompts(
-        {
-          type: 'confirm',
-          name: 'confirm',
-          message: `Are you sure you want to delete fragment: ${path}?`,
-          initial: false,
-        },
-        {
-          onCancel: () => {
-            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
-            process.exit(1);
-          },
-        }
-      );
+      if (context.flags.ifAbsent) {
+        console.error(chalk.red('❌ --if-absent does not apply to delete; use --if-version=N'));
+        process.exit(1);
+      }
+      const deletePrecondition = parseWritePrecondition(context);
 
-      if (!confirmResponse.confirm) {
-        console.log(chalk.yellow('⚠️  Deletion cancelled'));
-        process.exit(0);
+      if (context.flags.recursive) {
+        if (deletePrecondition) {
+          console.error(chalk.red('❌ --if-version can only be used when deleting a single path'));
+          process.exit(1);
+        }
+        await deleteRecursiveCommand(client, context, path);
+        break;
       }
 
-      try {
-        console.log(chalk.white(`🗑️  Deleting fragment: ${path}`));
-        await client.del(path);
+      // Confirm deletion
+      if (!context.flags.yes) {
+        const confirmResponse = await prompts(
+          {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Are you sure you want to delete fragment: ${path}?`,
+            initial: false,
+          },
+          {
+            onCancel: () => {
+              console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+              process.exit(1);
+            },
+          }
+        );
+
+        if (!confirmResponse.confirm) {
+          console.log(chalk.yellow('⚠️  Deletion cancelled'));
+          process.exit(0);
+        }
+      }
+
+      try {
+        console.log(chalk.white(`🗑️  Deleting fragment: ${path}`));
+        const envelope = await client.getRaw(path);
+        await checkWritePrecondition(client, path, deletePrecondition, envelope);
+        await client.del(path);
+        updateTrash(() =>
+          recordDeletion({
+            subject: client.getSession()?.subject?.id,
+            path,
+            version: envelope?.meta?.version,
+          })
+        );
         console.log(chalk.green('✅ Fragment deleted successfully'));
       } catch (error) {
         console.error(chalk.red('❌ Failed to delete fragment:'), error.message);
@@ -796,7 +993,7 @@ export const exec = async (context) => {
     case 'recover': {
       if (!path) {
         console.error(
-          `Usage: ${context.personality} fragment recover PATH --version=N [--timeout=30000] [--no-retry] [--api-url=URL]`
+          `Usage: ${context.personality} fragment recover PATH --version=N [--if-version=N|--if-absent] [--timeout=30000] [--no-retry] [--api-url=URL]`
         );
         process.exit(1);
       }
@@ -807,6 +1004,7 @@ export const exec = async (context) => {
         console.error(`Usage: ${context.personality} fragment recover PATH --version=N`);
         process.exit(1);
       }
+      const recoverPrecondition = parseWritePrecondition(context);
 
       // Confirm recovery
       const confirmResponse = await prompts(
@@ -831,7 +1029,9 @@ export const exec = async (context) => {
 
       try {
         console.log(chalk.white(`🔄 Recovering fragment: ${path} (version ${version})`));
+        await checkWritePrecondition(client, path, recoverPrecondition);
         const result = await client.recover(path, parseInt(version, 10));
+        updateTrash(() => removeFromTrash(client.getSession()?.subject?.id, path));
         console.log(chalk.green('✅ Fragment recovered successfully'));
 
         if (context.flags.debug) {
@@ -847,25 +1047,165 @@ export const exec = async (context) => {
       break;
     }
 
+    case 'export': {
+      await exportCommand(client, context, path);
+      break;
+    }
+
+    case 'import': {
+      await importCommand(client, context, path);
+      break;
+    }
+
+    case 'sync': {
+      await syncCommand(client, context, path, rest[0]);
+      break;
+    }
+
+    case 'history': {
+      await historyCommand(client, context, path);
+      break;
+    }
+
+    case 'diff': {
+      await diffCommand(client, context, path, rest[0]);
+      break;
+    }
+
+    case 'edit': {
+      await editCommand(client, context, path);
+      break;
+    }
+
+    case 'patch': {
+      await patchCommand(client, context, path, rest[0]);
+      break;
+    }
+
+    case 'trash': {
+      await trashCommand(client, context, path);
+      break;
+    }
+
+    case 'publish': {
+      await visibilityCommand(client, context, path, 'public');
+      break;
+    }
+
+    case 'unpublish': {
+      await visibilityCommand(client, context, path, 'private');
+      break;
+    }
+
+    case 'search': {
+      await searchCommand(client, context, path, rest[0]);
+      break;
+    }
+
+    case 'tree': {
+      await treeCommand(client, context, path);
+      break;
+    }
+
+    case 'du': {
+      await duCommand(client, context, path);
+      break;
+    }
+
+    case 'schema': {
+      await schemaCommand(client, context, path, rest[0], rest[1]);
+      break;
+    }
+
+    case 'snapshot': {
+      await snapshotCommand(client, context, path, rest[0], rest[1]);
+      break;
+    }
+
+    case 'dotenv': {
+      await dotenvCommand(client, context, path, rest[0], rest[1]);
+      break;
+    }
+
+    case 'mv':
+    case 'move': {
+      await copyCommand(client, context, path, rest[0], true);
+      break;
+    }
+
+    case 'cp':
+    case 'copy': {
+      await copyCommand(client, context, path, rest[0], false);
+      break;
+    }
+
     default: {
       console.error('Usage:');
       console.error(
-        `  ${context.personality} fragment get PATH [--raw] [--version=N] [--subject=email:user@domain.com] [--timeout=30000] [--no-retry] [--api-url=URL]`
+        `  ${context.personality} fragment get PATH [--raw] [--version=N|--at=TIME] [--query=EXPR] [--raw-output] [--format=json|yaml|toml|env|table] [--output=FILE] [--subject=email:user@domain.com] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error(
         `  ${context.personality} fragment raw PATH [--version=N] [--subject=email:user@domain.com] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error(
-        `  ${context.personality} fragment put PATH [VALUE] [--version=N] [--visibility=public|private] [--timeout=30000] [--no-retry] [--api-url=URL]`
+        `  ${context.personality} fragment put PATH [VALUE|--file=FILE] [--binary] [--content-type=TYPE] [--tag=KEY=VALUE]... [--meta=KEY=VALUE]... [--version=N] [--if-version=N|--if-absent] [--visibility=public|private] [--allow-secrets] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment list|ls [PREFIX] [-l|--detailed] [--tag=KEY[=VALUE]]... [--visibility=public|private] [--sort=path|date|size] [--offset=N] [--limit=N] [--concurrency=8] [--format=json|yaml|toml|env|table] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment delete PATH|-r PREFIX [--if-version=N] [--dry-run] [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment trash [PREFIX] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment recover PATH --version=N [--if-version=N|--if-absent] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment export PREFIX --out=FILE [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment import FILE [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment sync DIR PREFIX [--direction=push|pull|both] [--dry-run] [--visibility=public|private] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment history PATH [--version=N] [--limit=50] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment diff PATH [OTHER_PATH] [--from=N] [--to=M] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment edit PATH [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment patch PATH [PATCH] [--type=merge|json-patch] [--dry-run] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error(
-        `  ${context.personality} fragment list|ls [PREFIX] [-l|--detailed] [--timeout=30000] [--no-retry] [--api-url=URL]`
+        `  ${context.personality} fragment publish|unpublish PATH [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error(
-        `  ${context.personality} fragment delete PATH [--timeout=30000] [--no-retry] [--api-url=URL]`
+        `  ${context.personality} fragment search PATTERN [PREFIX] [--regex] [--ignore-case|-i] [--keys-only] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error(
-        `  ${context.personality} fragment recover PATH --version=N [--timeout=30000] [--no-retry] [--api-url=URL]`
+        `  ${context.personality} fragment tree [PREFIX] [--concurrency=8] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment du [PREFIX] [--depth=N] [--format=json|yaml|toml|env|table] [--concurrency=8] [--timeout=30000] [--no-retry] [--api-url=URL]`
+      );
+      console.error(
+        `  ${context.personality} fragment schema set PREFIX FILE | get PREFIX | list | delete PREFIX [--yes]`
+      );
+      console.error(
+        `  ${context.personality} fragment snapshot create PREFIX NAME | restore NAME | list [--yes] [--dry-run]`
+      );
+      console.error(
+        `  ${context.personality} fragment dotenv pull PREFIX [--output=FILE] | push PREFIX [FILE] [--yes] [--dry-run]`
+      );
+      console.error(
+        `  ${context.personality} fragment mv|cp SRC DST [-r|--recursive] [--force] [--dry-run] [--timeout=30000] [--no-retry] [--api-url=URL]`
       );
       console.error('');
       console.error('Flags:');
@@ -873,11 +1213,45 @@ export const exec = async (context) => {
       console.error(
         '  --version   Specific version number to retrieve/create/recover (get, put, and recover commands)'
       );
+      console.error('  --at        Get the version current at an ISO 8601 time (get command only)');
       console.error('  --subject   Subject for accessing public fragments (get command only)');
       console.error(
-        '  --visibility, -v  Fragment visibility: public or private (put command only)'
+        '  --visibility, -v  Fragment visibility: public or private (put; list filters on it)'
       );
       console.error('  -l, --detailed  Show visibility and metadata (list/ls command only)');
+      console.error('  --sort      Order by path, date (newest first) or size (largest first)');
+      console.error('  --offset, --limit  Show a page of the results (list command only)');
+      console.error('  --limit     Newest versions to look at (history, get --at; default: 50)');
+      console.error('  --concurrency  Parallel metadata requests (list, tree, du; default: 8)');
+      console.error('  --depth     Levels of subtrees to show (du command only)');
+      console.error('  --regex     Treat the pattern as a regular expression (search only)');
+      console.error('  -i, --ignore-case  Case-insensitive matching (search command only)');
+      console.error('  --keys-only Only match object keys, not values (search command only)');
+      console.error('  --out, -o   Archive file to write (export command only)');
+      console.error('  --yes, -y   Skip confirmation prompts');
+      console.error('  --direction Which way to sync: push, pull or both (sync command only)');
+      console.error('  --dry-run   Show what would change without changing anything');
+      console.error('  --json      Print machine-readable JSON (--format=json for get/list)');
+      console.error('  --from, --to  Versions to compare (diff command only; default: current)');
+      console.error('  -r, --recursive  Treat paths as prefixes (delete, mv and cp commands)');
+      console.error('  --force     Overwrite existing destinations (mv, cp, snapshot create)');
+      console.error('  --tag       Add a key=value tag (put), or list only fragments with it');
+      console.error('  --meta      Add key=value or JSON metadata (put command only)');
+      console.error('  --query     Print part of the value, e.g. .db.host or $..password (get)');
+      console.error('  --raw-output  Print strings without JSON quotes (get command only)');
+      console.error('  --format    Output as json, yaml, toml, env or table (get and list)');
+      console.error(
+        '  --if-version  Only write if the fragment is at version N (checked just before writing, not atomic)'
+      );
+      console.error("  --if-absent Only write if the fragment doesn't exist (put, recover)");
+      console.error('  --allow-secrets  Make public even if the value looks like a credential');
+      console.error('  --type      Patch format: merge (RFC 7396) or json-patch (RFC 6902)');
+      console.error('  --file      Store a file byte-for-byte with a content type (put only)');
+      console.error('  --binary    Store stdin byte-for-byte with a content type (put only)');
+      console.error('  --content-type  Content type for binary values (default: from file name)');
+      console.error(
+        '  --output    Write the value to a file, decoding binary data (get command only)'
+      );
       console.error(
         '  --ssh-key   Path to SSH private key for unlock (default: ~/.ssh/id_ed25519 or ~/.ssh/id_rsa)'
       );
@@ -896,10 +1270,1854 @@ export const exec = async (context) => {
       console.error('  identa fragment put test/simple "hello world" -v public');
       console.error('  identa fragment get profile/user --raw  # Get raw fragment envelope');
       console.error('  identa fragment get profile/user --version=123  # Get specific version');
+      console.error(
+        "  identa fragment get config/db --query '.password' --raw-output  # Use in scripts"
+      );
       console.error(
         '  identa fragment put profile/user "John Smith" --version=124 --visibility=public  # Create specific version'
       );
+      console.error(
+        '  identa fragment put config/app "..." --if-version=7  # Exits 3 if someone else wrote first'
+      );
+      console.error(
+        '  identa fragment schema set config/services/ services.schema.json  # Validate writes'
+      );
+      console.error(
+        '  identa fragment get config/app --at=2026-09-01T00:00Z  # Value at that time'
+      );
+      console.error(
+        '  identa fragment snapshot create config/ before-migration  # Record every version'
+      );
+      console.error('  identa fragment snapshot restore before-migration  # Roll them all back');
+      console.error('  identa fragment dotenv push env/staging .env  # Store a .env file');
+      console.error('  identa fragment dotenv pull env/staging > .env  # And get it back');
+      console.error('  identa fragment export config/ --out=config.identa  # Back up a prefix');
+      console.error('  identa fragment import config.identa  # Restore a backup');
+      console.error('  identa fragment sync ./config config/bundles --dry-run  # Preview a sync');
+      console.error('  identa fragment history profile/user  # List versions for recover');
+      console.error('  identa fragment diff config/app --from=3  # What changed since version 3');
+      console.error('  EDITOR=nano identa fragment edit config/app  # Edit in your editor');
+      console.error(
+        '  identa fragment patch config/app \'{"debug": true, "old": null}\'  # Change two keys'
+      );
+      console.error(
+        '  echo \'[{"op": "add", "path": "/hosts/-", "value": "b"}]\' | identa fragment patch config/app'
+      );
+      console.error('  identa fragment mv -r config/old/ config/new/  # Rename a namespace');
+      console.error(
+        '  identa fragment put config/db "..." --tag env=prod --tag owner=platform  # Label it'
+      );
+      console.error('  identa fragment ls config/ --tag env=prod -l  # Only production fragments');
+      console.error('  identa fragment ls -l --sort=size --limit=10  # The ten largest fragments');
+      console.error('  identa fragment publish profile/bio  # Make an existing fragment public');
+      console.error(
+        '  identa fragment put keys/demo "..." -v public --allow-secrets  # Skip the secret check'
+      );
+      console.error('  identa fragment search -i stripe  # Which fragment holds the Stripe key?');
+      console.error('  identa fragment search --regex "^sk_live_" config/  # Regex on values');
+      console.error('  identa fragment tree config/  # Show the hierarchy under config/');
+      console.error('  identa fragment du --depth=1  # Storage used by each top-level prefix');
+      console.error('  identa fragment put certs/client --file=client.p12  # Store a binary file');
+      console.error('  identa fragment get certs/client --output=client.p12  # Get the bytes back');
+      console.error('  identa fragment delete -r test/sdk/ --dry-run  # Preview a cleanup');
+      console.error(
+        '  identa fragment trash  # Deletions made on this machine (kept locally in trash.json)'
+      );
       process.exit(1);
     }
   }
 };
+
+async function exportCommand(client, context, prefix) {
+  const outputPath = context.flags.out || context.flags.o;
+  if (!prefix || !outputPath) {
+    console.error(
+      `Usage: ${context.personality} fragment export PREFIX --out=FILE [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  try {
+    console.log(chalk.white(`📦 Exporting fragments with prefix: ${prefix}`));
+    const listed = (await client.list(prefix)) || [];
+
+    const fragments = [];
+    for (const item of listed) {
+      const fragmentPath = getFragmentPath(item);
+      // Keep the envelope exactly as stored so private fragments stay encrypted
+      const envelope = await client.getRaw(fragmentPath);
+      if (!envelope) {
+        console.log(chalk.yellow(`⚠️  Skipping ${fragmentPath} (not found)`));
+        continue;
+      }
+
+      fragments.push({
+        path: fragmentPath,
+        visibility: getFragmentVisibility(envelope),
+        version: envelope.meta?.version,
+        ts: envelope.meta?.ts,
+        envelope,
+      });
+      console.log(chalk.gray(`   ${fragmentPath}`));
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      cliVersion: context.version,
+      subject: client.getSession()?.subject?.id,
+      prefix,
+      count: fragments.length,
+      entries: fragments.map(({ path, visibility, version, ts }) => ({
+        path,
+        visibility,
+        version,
+        ts,
+      })),
+    };
+
+    await writeArchive(outputPath, { manifest, fragments });
+    console.log(chalk.green(`✅ Exported ${fragments.length} fragment(s) to ${outputPath}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to export fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+// Value of an archived fragment. Envelopes can only be decrypted through the API, so the
+// archived version is read back from the fragment's history after checking it still holds
+// the same payload.
+async function readArchivedValue(client, entry) {
+  const stored =
+    entry.version === undefined
+      ? null
+      : await client.getRaw(entry.path, { version: entry.version });
+  if (!stored || JSON.stringify(stored.fragment) !== JSON.stringify(entry.envelope.fragment)) {
+    throw new Error(`version ${entry.version ?? '?'} is no longer on the server`);
+  }
+  return client.get(entry.path, { version: entry.version });
+}
+
+async function importCommand(client, context, archivePath) {
+  if (!archivePath) {
+    console.error(
+      `Usage: ${context.personality} fragment import FILE [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  let archive;
+  try {
+    archive = readArchive(archivePath);
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to read archive:'), error.message);
+    process.exit(1);
+  }
+
+  const { manifest, fragments } = archive;
+  console.log(chalk.white(`📦 Archive: ${archivePath}`));
+  console.log(chalk.gray(`   Prefix: ${manifest.prefix}`));
+  console.log(chalk.gray(`   Created: ${manifest.createdAt}`));
+  if (manifest.subject) {
+    console.log(chalk.gray(`   Subject: ${manifest.subject}`));
+  }
+  console.log(chalk.gray(`   Fragments: ${manifest.count}`));
+
+  if (!context.flags.yes) {
+    const confirmResponse = await prompts(
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Restore ${manifest.count} fragment(s)? Existing fragments at these paths will get a new version.`,
+        initial: false,
+      },
+      {
+        onCancel: () => {
+          console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+          process.exit(1);
+        },
+      }
+    );
+
+    if (!confirmResponse.confirm) {
+      console.log(chalk.yellow('⚠️  Import cancelled'));
+      process.exit(0);
+    }
+  }
+
+  let schemas;
+  try {
+    schemas = await loadSchemas(
+      client,
+      fragments.map((entry) => entry.path)
+    );
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to load schemas:'), error.message);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const entry of fragments) {
+    try {
+      const data = await readArchivedValue(client, entry);
+      const violations = findSchemaViolations(schemas, entry.path, data);
+      if (violations.length > 0) {
+        const errors = violations.flatMap((violation) => violation.errors);
+        throw new Error(
+          `doesn't match the schema for ${violations[0].prefix}: ${errors.join('; ')}`
+        );
+      }
+      // Written as a new version: only tags and fields carry over, not the old
+      // version number or timestamp, so history and --at stay in order
+      const opts = { visibility: entry.visibility === 'public' ? 'public' : 'private' };
+      const userMeta = pickUserMeta(entry.envelope.meta);
+      if (userMeta) {
+        opts.meta = userMeta;
+      }
+
+      await client.put(entry.path, data, opts);
+      console.log(chalk.gray(`   ✅ ${entry.path}`));
+    } catch (error) {
+      failed++;
+      console.error(chalk.red(`   ❌ ${entry.path}: ${error.message}`));
+      if (context.flags.debug) {
+        console.error(error);
+      }
+    }
+  }
+
+  if (failed > 0) {
+    console.error(chalk.red(`❌ ${failed} of ${fragments.length} fragment(s) failed to import`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`✅ Imported ${fragments.length} fragment(s)`));
+}
+
+async function syncCommand(client, context, dir, prefixArg) {
+  const direction = context.flags.direction || 'both';
+  const dryRun = context.flags.dryRun;
+
+  if (!dir || !prefixArg || !['push', 'pull', 'both'].includes(direction)) {
+    console.error(
+      `Usage: ${context.personality} fragment sync DIR PREFIX [--direction=push|pull|both] [--dry-run] [--visibility=public|private] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  const prefix = normalizePrefix(prefixArg);
+  const defaultVisibility = context.flags.visibility || context.flags.v || 'private';
+
+  try {
+    const state = loadSyncState(dir, prefix);
+
+    console.log(
+      chalk.white(`🔄 Syncing ${dir} <-> ${prefix} (${direction}${dryRun ? ', dry run' : ''})`)
+    );
+
+    // Local side: hash every file
+    const local = {};
+    for (const relPath of listLocalFiles(dir)) {
+      local[relPath] = { hash: hashContent(fs.readFileSync(path.join(dir, relPath))) };
+    }
+
+    // Remote side: fetch envelopes for revision and visibility
+    const remote = {};
+    for (const item of (await client.list(prefix)) || []) {
+      const fragmentPath = getFragmentPath(item);
+      if (!fragmentPath.startsWith(prefix)) continue;
+      const envelope = await client.getRaw(fragmentPath);
+      if (!envelope) continue;
+
+      const relPath = fragmentPath.slice(prefix.length);
+      // Fragment names come from the server; never let one write outside DIR
+      if (!isSafeRelPath(relPath)) {
+        console.error(chalk.yellow(`⚠️  Skipping ${fragmentPath}: not a safe file name`));
+        continue;
+      }
+      remote[relPath] = {
+        revision: remoteRevision(envelope),
+        visibility: getWriteVisibility(envelope),
+        meta: envelope.meta,
+      };
+
+      // Without sync state we can only tell "same or different" by content
+      if (local[relPath] && !state.files[relPath]) {
+        const value = await client.get(fragmentPath);
+        remote[relPath].hash = hashContent(valueToFile(relPath, value, envelope.meta));
+      }
+    }
+
+    const plan = planSync({ local, remote, state, direction });
+    const icons = { push: '⬆️ ', pull: '⬇️ ', conflict: '⚠️ ', skip: '⏭️ ' };
+    let conflicts = 0;
+    let blocked = 0;
+
+    for (const { relPath, action, reason } of plan) {
+      const fragmentPath = `${prefix}${relPath}`;
+      const filePath = path.join(dir, ...relPath.split('/'));
+      const previous = state.files[relPath];
+
+      if (action === 'none') {
+        if (context.flags.debug) {
+          console.log(chalk.gray(`   ${relPath} (${reason})`));
+        }
+        state.files[relPath] = {
+          hash: local[relPath].hash,
+          revision: remote[relPath].revision,
+          visibility: remote[relPath].visibility,
+        };
+        continue;
+      }
+
+      console.log(`${icons[action]} ${action.padEnd(8)} ${relPath} ${chalk.gray(`(${reason})`)}`);
+
+      if (action === 'conflict') {
+        conflicts++;
+        continue;
+      }
+      if (action === 'skip') {
+        if (!local[relPath] && !remote[relPath]) {
+          delete state.files[relPath];
+        }
+        continue;
+      }
+      if (dryRun) continue;
+
+      if (action === 'push') {
+        const visibility = remote[relPath]?.visibility || previous?.visibility || defaultVisibility;
+        const { data, fields } = fileToValue(relPath, fs.readFileSync(filePath));
+        if (visibility === 'public' && !checkPublicValue(context, fragmentPath, data, { fields })) {
+          blocked++;
+          continue;
+        }
+        const opts = { visibility };
+        if (fields) {
+          opts.meta = { fields };
+        }
+        await client.put(fragmentPath, data, opts);
+        const envelope = await client.getRaw(fragmentPath);
+        state.files[relPath] = {
+          hash: local[relPath].hash,
+          revision: remoteRevision(envelope),
+          visibility,
+        };
+      } else if (action === 'pull') {
+        const value = await client.get(fragmentPath);
+        const content = valueToFile(relPath, value, remote[relPath].meta);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content, { mode: 0o600 });
+        state.files[relPath] = {
+          hash: hashContent(content),
+          revision: remote[relPath].revision,
+          visibility: remote[relPath].visibility,
+        };
+      }
+    }
+
+    const counts = plan.reduce((acc, { action }) => {
+      acc[action] = (acc[action] || 0) + 1;
+      return acc;
+    }, {});
+    const summary = ['push', 'pull', 'conflict', 'skip', 'none']
+      .map((action) => `${counts[action] || 0} ${action === 'none' ? 'unchanged' : action}`)
+      .join(', ');
+
+    if (dryRun) {
+      console.log(chalk.gray(`Dry run: ${summary}. Nothing was changed.`));
+      return;
+    }
+
+    saveSyncState(dir, state);
+
+    if (conflicts > 0) {
+      console.error(
+        chalk.red(`❌ ${conflicts} conflict(s) left untouched. Resolve them and sync again.`)
+      );
+      console.error(
+        chalk.gray(
+          '   Run again with --direction=push or --direction=pull to keep the local or remote copy.'
+        )
+      );
+      process.exit(1);
+    }
+    if (blocked > 0) {
+      console.error(
+        chalk.red(`❌ ${blocked} file(s) were not pushed because they look like secrets`)
+      );
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Sync complete: ${summary}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to sync fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function historyCommand(client, context, fragmentPath) {
+  if (!fragmentPath) {
+    console.error(
+      `Usage: ${context.personality} fragment history PATH [--version=N] [--limit=50] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  // --version sets the newest version to look at (useful once the fragment is deleted)
+  const fromVersion = context.flags.version ? parseInt(context.flags.version, 10) : undefined;
+  if (fromVersion !== undefined && (isNaN(fromVersion) || fromVersion < 1)) {
+    console.error(chalk.red('❌ Version must be a positive integer'));
+    process.exit(1);
+  }
+  const limit = parseVersionLimit(context);
+
+  try {
+    const { history, older } = await getFragmentHistory(client, fragmentPath, fromVersion, limit);
+
+    if (context.flags.json) {
+      console.log(JSON.stringify(history, null, 2));
+      return;
+    }
+
+    if (history.length === 0) {
+      console.log(chalk.yellow(`⚠️  No versions found for: ${fragmentPath}`));
+      if (older > 0) {
+        console.log(chalk.gray(`   Pass --version=${older} to look at older versions`));
+      } else if (fromVersion === undefined) {
+        console.log(
+          chalk.gray('   If the fragment was deleted, pass --version=N to start from version N')
+        );
+      }
+      return;
+    }
+
+    console.log(chalk.white(`📜 History for ${fragmentPath}: ${history.length} version(s)`));
+    const widths = [9, 26, 10, 12, 0];
+    const row = (columns) => columns.map((col, i) => String(col).padEnd(widths[i])).join('');
+
+    console.log(chalk.gray(row(['VERSION', 'TIMESTAMP', 'SIZE', 'VISIBILITY', 'DELETED'])));
+    for (const entry of history) {
+      const line = row([
+        entry.version ?? '-',
+        entry.ts ? new Date(entry.ts).toISOString() : '-',
+        `${entry.size} B`,
+        entry.visibility,
+        entry.deleted ? 'yes' : 'no',
+      ]);
+      console.log(entry.deleted ? chalk.gray(line) : line);
+    }
+    if (older > 0) {
+      console.log(
+        chalk.gray(`   Stopped at --limit=${limit}; pass --version=${older} to see older versions`)
+      );
+    }
+    console.log(
+      chalk.gray(
+        `\n💡 Use "${context.personality} fragment recover ${fragmentPath} --version=N" to restore a version`
+      )
+    );
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to get fragment history:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function diffCommand(client, context, fromPath, toPathArg) {
+  const usage = () => {
+    console.error(
+      `Usage: ${context.personality} fragment diff PATH --from=N [--to=M] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    console.error(
+      `       ${context.personality} fragment diff PATH OTHER_PATH [--from=N] [--to=M] [--json] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  };
+
+  const parseVersion = (flag) => {
+    if (context.flags[flag] === undefined) return undefined;
+    const version = parseInt(context.flags[flag], 10);
+    if (isNaN(version) || version < 1) {
+      console.error(chalk.red(`❌ --${flag} must be a positive integer`));
+      process.exit(1);
+    }
+    return version;
+  };
+
+  const toPath = toPathArg || fromPath;
+  const fromVersion = parseVersion('from');
+  const toVersion = parseVersion('to');
+
+  // Comparing a path with itself only makes sense between versions
+  if (!fromPath || (!toPathArg && fromVersion === undefined)) {
+    usage();
+  }
+
+  const label = (fragmentPath, version) =>
+    `${fragmentPath}${version !== undefined ? ` (version ${version})` : ' (current)'}`;
+  const fromLabel = label(fromPath, fromVersion);
+  const toLabel = label(toPath, toVersion);
+
+  try {
+    // Sequential so a keychain unlock prompt only appears once
+    const fromValue = await client.get(
+      fromPath,
+      fromVersion !== undefined ? { version: fromVersion } : {}
+    );
+    const toValue = await client.get(toPath, toVersion !== undefined ? { version: toVersion } : {});
+
+    if (fromValue === null || fromValue === undefined) {
+      console.error(chalk.red(`❌ Fragment not found: ${fromLabel}`));
+      process.exit(1);
+    }
+    if (toValue === null || toValue === undefined) {
+      console.error(chalk.red(`❌ Fragment not found: ${toLabel}`));
+      process.exit(1);
+    }
+
+    const changes = diffJson(fromValue, toValue);
+
+    if (context.flags.json) {
+      console.log(JSON.stringify({ from: fromLabel, to: toLabel, changes }, null, 2));
+      return;
+    }
+
+    if (changes.length === 0) {
+      console.log(chalk.green(`✅ No differences between ${fromLabel} and ${toLabel}`));
+      return;
+    }
+
+    // Plain strings read best as a line diff
+    if (typeof fromValue === 'string' && typeof toValue === 'string') {
+      for (const line of diffText(fromValue, toValue, { fromLabel, toLabel })) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+          console.log(chalk.bold(line));
+        } else if (line.startsWith('@@')) {
+          console.log(chalk.cyan(line));
+        } else if (line.startsWith('+')) {
+          console.log(chalk.green(line));
+        } else if (line.startsWith('-')) {
+          console.log(chalk.red(line));
+        } else {
+          console.log(line);
+        }
+      }
+      return;
+    }
+
+    console.log(chalk.bold(`--- ${fromLabel}`));
+    console.log(chalk.bold(`+++ ${toLabel}`));
+    printJsonChanges(changes);
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to diff fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+function printJsonChanges(changes) {
+  for (const change of changes) {
+    if (change.op === 'added') {
+      console.log(chalk.green(`+ ${change.path}: ${JSON.stringify(change.to)}`));
+    } else if (change.op === 'removed') {
+      console.log(chalk.red(`- ${change.path}: ${JSON.stringify(change.from)}`));
+    } else {
+      console.log(
+        chalk.yellow(
+          `~ ${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`
+        )
+      );
+    }
+  }
+}
+
+// Private scratch directory for decrypted values, in RAM-backed storage when available
+function createPrivateTempDir() {
+  const candidates = [process.env.XDG_RUNTIME_DIR, '/dev/shm', os.tmpdir()].filter(Boolean);
+  for (const base of candidates) {
+    try {
+      fs.accessSync(base, fs.constants.W_OK);
+      const dir = fs.mkdtempSync(path.join(base, 'identa-'));
+      fs.chmodSync(dir, 0o700);
+      return dir;
+    } catch (err) {
+      // try the next location
+    }
+  }
+  throw new Error('No writable temporary directory found');
+}
+
+async function editCommand(client, context, fragmentPath) {
+  if (!fragmentPath) {
+    console.error(
+      `Usage: ${context.personality} fragment edit PATH [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  // Split ourselves rather than going through a shell, so "code --wait" works
+  // but nothing in the fragment path or file name is ever interpreted
+  const [editor, ...editorArgs] = (process.env.VISUAL || process.env.EDITOR || 'vi')
+    .trim()
+    .split(/\s+/);
+
+  let envelope;
+  let value;
+  try {
+    envelope = await client.getRaw(fragmentPath);
+    if (!envelope) {
+      console.error(chalk.red(`❌ Fragment not found: ${fragmentPath}`));
+      console.error(
+        chalk.gray(`   Create it first with: ${context.personality} fragment put ${fragmentPath}`)
+      );
+      process.exit(1);
+    }
+    if (getBinaryInfo(envelope.meta)) {
+      console.error(chalk.red(`❌ ${fragmentPath} holds binary data and can't be edited as text`));
+      console.error(
+        chalk.gray(
+          `   Use: ${context.personality} fragment get ${fragmentPath} --output=FILE, then put --file=FILE`
+        )
+      );
+      process.exit(1);
+    }
+    value = await client.get(fragmentPath);
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to get fragment:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+
+  const visibility = getWriteVisibility(envelope);
+  const revision = remoteRevision(envelope);
+  const isJson = typeof value !== 'string';
+  const original = isJson ? `${JSON.stringify(value, null, 2)}\n` : value;
+
+  const tmpDir = createPrivateTempDir();
+  const baseName = path.basename(fragmentPath).replace(/[^\w.-]/g, '_');
+  const tmpFile = path.join(tmpDir, `${baseName}.${isJson ? 'json' : 'txt'}`);
+  let keepTmpFile = false;
+
+  try {
+    fs.writeFileSync(tmpFile, original, { mode: 0o600 });
+
+    let data;
+    for (;;) {
+      const result = spawnSync(editor, [...editorArgs, tmpFile], { stdio: 'inherit' });
+      if (result.error) {
+        console.error(chalk.red(`❌ Couldn't start ${editor}:`), result.error.message);
+        process.exitCode = 1;
+        return;
+      }
+      if (result.status !== 0) {
+        console.error(chalk.red(`❌ Editor exited with status ${result.status}, nothing saved`));
+        process.exitCode = 1;
+        return;
+      }
+
+      const edited = fs.readFileSync(tmpFile, 'utf8');
+      if (edited === original) {
+        console.log(chalk.yellow('⚠️  No changes made'));
+        return;
+      }
+
+      if (!isJson) {
+        // Editors usually add a trailing newline the original didn't have
+        data = !original.endsWith('\n') ? edited.replace(/\n$/, '') : edited;
+        break;
+      }
+
+      try {
+        data = JSON.parse(edited);
+        break;
+      } catch (err) {
+        console.error(chalk.red(`❌ Invalid JSON: ${err.message}`));
+        const { reopen } = await prompts({
+          type: 'confirm',
+          name: 'reopen',
+          message: 'Re-open the editor to fix it?',
+          initial: true,
+        });
+        if (!reopen) {
+          console.log(chalk.yellow('⚠️  Edit cancelled, nothing saved'));
+          return;
+        }
+      }
+    }
+
+    if (await changedSinceRead(client, fragmentPath, revision)) {
+      keepTmpFile = true;
+      console.error(chalk.gray(`   Your edited copy was kept at: ${tmpFile}`));
+      console.error(chalk.gray('   Merge it by hand, then delete it.'));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (visibility === 'public' && !checkPublicValue(context, fragmentPath, data)) {
+      keepTmpFile = true;
+      console.error(chalk.gray(`   Your edited copy was kept at: ${tmpFile}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(chalk.white(`💾 Storing ${visibility} fragment: ${fragmentPath}`));
+    const opts = { visibility };
+    const userMeta = pickUserMeta(envelope.meta);
+    if (userMeta) {
+      opts.meta = userMeta;
+    }
+    await client.put(fragmentPath, data, opts);
+    console.log(chalk.green('✅ Fragment stored successfully'));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to edit fragment:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exitCode = 1;
+  } finally {
+    if (!keepTmpFile) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+async function patchCommand(client, context, fragmentPath, patchArg) {
+  if (!fragmentPath) {
+    console.error(
+      `Usage: ${context.personality} fragment patch PATH [PATCH] [--type=merge|json-patch] [--dry-run] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  let patchText = patchArg;
+  if (patchText === undefined && !process.stdin.isTTY) {
+    patchText = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+      patchText += chunk;
+    }
+  }
+  if (!patchText || !String(patchText).trim()) {
+    console.error(chalk.red('❌ No patch given: pass it as an argument or pipe it to stdin'));
+    process.exit(1);
+  }
+
+  let patch;
+  try {
+    patch = JSON.parse(patchText);
+  } catch (error) {
+    console.error(chalk.red('❌ Patch is not valid JSON:'), error.message);
+    process.exit(1);
+  }
+
+  try {
+    const envelope = await client.getRaw(fragmentPath);
+    if (!envelope) {
+      console.error(chalk.red(`❌ Fragment not found: ${fragmentPath}`));
+      console.error(
+        chalk.gray(`   Create it first with: ${context.personality} fragment put ${fragmentPath}`)
+      );
+      process.exit(1);
+    }
+    if (getBinaryInfo(envelope.meta)) {
+      console.error(chalk.red(`❌ ${fragmentPath} holds binary data and can't be patched`));
+      process.exit(1);
+    }
+    const revision = remoteRevision(envelope);
+    const value = await client.get(fragmentPath);
+
+    const { type, value: patched } = applyPatch(value, patch, context.flags.type);
+    const changes = diffJson(value, patched);
+    if (changes.length === 0) {
+      console.log(chalk.green(`✅ Patch makes no changes to ${fragmentPath}`));
+      return;
+    }
+
+    const violations = findSchemaViolations(
+      await loadSchemas(client, [fragmentPath]),
+      fragmentPath,
+      patched
+    );
+    if (violations.length > 0) {
+      printSchemaViolations(fragmentPath, violations);
+      process.exit(1);
+    }
+    if (
+      getWriteVisibility(envelope) === 'public' &&
+      !checkPublicValue(context, fragmentPath, patched)
+    ) {
+      process.exit(1);
+    }
+
+    console.log(chalk.white(`🩹 Applying ${type} patch to ${fragmentPath}:`));
+    printJsonChanges(changes);
+
+    if (context.flags.dryRun) {
+      console.log(chalk.gray('\n💡 Dry run, nothing was written'));
+      return;
+    }
+
+    if (await changedSinceRead(client, fragmentPath, revision)) {
+      console.error(chalk.gray('   Run the patch again to apply it to the latest version.'));
+      process.exit(1);
+    }
+
+    const opts = { visibility: getWriteVisibility(envelope) };
+    const userMeta = pickUserMeta(envelope.meta);
+    if (userMeta) {
+      opts.meta = userMeta;
+    }
+    await client.put(fragmentPath, patched, opts);
+    console.log(chalk.green('✅ Fragment patched successfully'));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to patch fragment:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+// Copy one fragment, keeping its visibility, tags and fields. put() re-encrypts for the new path,
+// and the destination is read back before we report success.
+async function copyFragment(client, srcPath, dstPath) {
+  const envelope = await client.getRaw(srcPath);
+  if (!envelope) {
+    throw new Error(`Fragment not found: ${srcPath}`);
+  }
+  const visibility = getWriteVisibility(envelope);
+  const data = await client.get(srcPath);
+
+  const opts = { visibility };
+  const userMeta = pickUserMeta(envelope.meta);
+  if (userMeta) {
+    opts.meta = userMeta;
+  }
+  await client.put(dstPath, data, opts);
+
+  const written = await client.get(dstPath);
+  if (JSON.stringify(written) !== JSON.stringify(data)) {
+    throw new Error(`Verification failed: ${dstPath} does not match ${srcPath}`);
+  }
+  return visibility;
+}
+
+async function copyCommand(client, context, srcArg, dstArg, move) {
+  const name = move ? 'mv' : 'cp';
+  const recursive = context.flags.recursive;
+
+  if (!srcArg || !dstArg) {
+    console.error(
+      `Usage: ${context.personality} fragment ${name} SRC DST [-r|--recursive] [--force] [--dry-run] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  try {
+    // Work out every source -> destination pair up front
+    let pairs;
+    if (recursive) {
+      const srcPrefix = normalizePrefix(srcArg);
+      const dstPrefix = normalizePrefix(dstArg);
+      if (dstPrefix.startsWith(srcPrefix) || srcPrefix.startsWith(dstPrefix)) {
+        console.error(chalk.red('❌ Source and destination prefixes must not overlap'));
+        process.exit(1);
+      }
+      pairs = ((await client.list(srcPrefix)) || [])
+        .map(getFragmentPath)
+        .filter((fragmentPath) => fragmentPath.startsWith(srcPrefix))
+        .map((fragmentPath) => ({
+          src: fragmentPath,
+          dst: `${dstPrefix}${fragmentPath.slice(srcPrefix.length)}`,
+        }));
+    } else {
+      if (srcArg === dstArg) {
+        console.error(chalk.red('❌ Source and destination are the same'));
+        process.exit(1);
+      }
+      pairs = [{ src: srcArg, dst: dstArg }];
+    }
+
+    if (pairs.length === 0) {
+      console.log(chalk.yellow(`⚠️  No fragments found with prefix: ${srcArg}`));
+      return;
+    }
+
+    // Never overwrite silently
+    if (!context.flags.force) {
+      const existing = [];
+      for (const { dst } of pairs) {
+        if (await client.getRaw(dst)) {
+          existing.push(dst);
+        }
+      }
+      if (existing.length > 0) {
+        console.error(chalk.red('❌ Destination already exists:'));
+        existing.forEach((dst) => console.error(chalk.gray(`   ${dst}`)));
+        console.error(chalk.gray('   Use --force to overwrite'));
+        process.exit(1);
+      }
+    }
+
+    const verb = move ? 'Moving' : 'Copying';
+    console.log(chalk.white(`📋 ${verb} ${pairs.length} fragment(s)`));
+
+    for (const { src, dst } of pairs) {
+      if (context.flags.dryRun) {
+        console.log(chalk.gray(`   ${src} → ${dst}`));
+        continue;
+      }
+
+      const visibility = await copyFragment(client, src, dst);
+      if (move) {
+        // Only remove the source once the destination has been verified
+        await client.del(src);
+      }
+      console.log(chalk.gray(`   ✅ ${src} → ${dst} (${visibility})`));
+    }
+
+    if (context.flags.dryRun) {
+      console.log(chalk.gray('Dry run: nothing was changed.'));
+      return;
+    }
+    console.log(
+      chalk.green(`✅ ${move ? 'Moved' : 'Copied'} ${pairs.length} fragment(s) successfully`)
+    );
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to ${move ? 'move' : 'copy'} fragment:`), error.message);
+    if (move) {
+      console.error(chalk.gray('   Sources are only deleted after their copy is verified.'));
+    }
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function deleteRecursiveCommand(client, context, prefixArg) {
+  const prefix = normalizePrefix(prefixArg);
+  const subject = client.getSession()?.subject?.id;
+
+  try {
+    const paths = ((await client.list(prefix)) || [])
+      .map(getFragmentPath)
+      .filter((fragmentPath) => fragmentPath.startsWith(prefix));
+
+    if (paths.length === 0) {
+      console.log(chalk.yellow(`⚠️  No fragments found with prefix: ${prefix}`));
+      return;
+    }
+
+    console.log(chalk.white(`🗑️  ${paths.length} fragment(s) match ${prefix}:`));
+    paths.forEach((fragmentPath, index) => console.log(`${index + 1}. ${fragmentPath}`));
+
+    if (context.flags.dryRun) {
+      console.log(chalk.gray('Dry run: nothing was deleted.'));
+      return;
+    }
+
+    if (!context.flags.yes) {
+      const confirmResponse = await prompts(
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Are you sure you want to delete all ${paths.length} fragment(s) under ${prefix}?`,
+          initial: false,
+        },
+        {
+          onCancel: () => {
+            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+            process.exit(1);
+          },
+        }
+      );
+
+      if (!confirmResponse.confirm) {
+        console.log(chalk.yellow('⚠️  Deletion cancelled'));
+        process.exit(0);
+      }
+    }
+
+    let failed = 0;
+    for (const fragmentPath of paths) {
+      try {
+        const envelope = await client.getRaw(fragmentPath);
+        await client.del(fragmentPath);
+        updateTrash(() =>
+          recordDeletion({ subject, path: fragmentPath, version: envelope?.meta?.version })
+        );
+        console.log(chalk.gray(`   ✅ ${fragmentPath}`));
+      } catch (error) {
+        failed++;
+        console.error(chalk.red(`   ❌ ${fragmentPath}: ${error.message}`));
+      }
+    }
+
+    if (failed > 0) {
+      console.error(chalk.red(`❌ ${failed} of ${paths.length} fragment(s) failed to delete`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`✅ Deleted ${paths.length} fragment(s)`));
+    console.log(
+      chalk.gray(
+        `💡 Use "${context.personality} fragment trash ${prefix}" to see what can be recovered`
+      )
+    );
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to delete fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function trashCommand(client, context, prefix = '') {
+  const subject = client.getSession()?.subject?.id;
+
+  try {
+    const entries = [];
+    for (const entry of getTrash(subject, prefix)) {
+      // Anything that exists again was recovered or re-created elsewhere
+      const current = await client.getRaw(entry.path).catch(() => null);
+      if (current) {
+        updateTrash(() => removeFromTrash(subject, entry.path));
+        continue;
+      }
+      entries.push(entry);
+    }
+
+    if (context.flags.json) {
+      console.log(
+        JSON.stringify(
+          entries.map(({ path, version, deletedAt }) => ({ path, version, deletedAt })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('⚠️  Trash is empty'));
+      console.log(
+        chalk.gray(
+          '   Only deletions made with this CLI on this machine are tracked (in trash.json next to the config)'
+        )
+      );
+      return;
+    }
+
+    console.log(chalk.white(`🗑️  ${entries.length} deleted fragment(s):`));
+    entries.forEach((entry, index) => {
+      console.log(`${index + 1}. ${entry.path}`);
+      console.log(chalk.gray(`   Deleted: ${entry.deletedAt}`));
+      if (entry.version !== undefined) {
+        console.log(chalk.gray(`   Last version: ${entry.version}`));
+        console.log(
+          chalk.gray(
+            `   Recover: ${context.personality} fragment recover ${entry.path} --version=${entry.version}`
+          )
+        );
+      }
+    });
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to list trash:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function schemaCommand(client, context, action, prefix, schemaFile) {
+  const usage = `Usage: ${context.personality} fragment schema set PREFIX FILE | get PREFIX | list | delete PREFIX [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`;
+  if (!action || (action !== 'list' && !prefix)) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    switch (action) {
+      case 'set': {
+        if (!schemaFile) {
+          console.error(usage);
+          process.exit(1);
+        }
+        if (!fs.existsSync(schemaFile)) {
+          console.error(chalk.red(`❌ File not found: ${schemaFile}`));
+          process.exit(1);
+        }
+        let schema;
+        try {
+          schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+        } catch (error) {
+          console.error(chalk.red(`❌ ${schemaFile} is not valid JSON:`), error.message);
+          process.exit(1);
+        }
+        compileSchema(schema);
+
+        const schemaPrefix = normalizePrefix(prefix);
+        await client.put(
+          schemaPathFor(schemaPrefix),
+          { prefix: schemaPrefix, schema },
+          { visibility: 'private' }
+        );
+        console.log(chalk.green(`✅ Schema set for ${schemaPrefix}`));
+        console.log(
+          chalk.gray(
+            '   put, patch and import now validate new values; existing ones are unchanged'
+          )
+        );
+        break;
+      }
+
+      case 'get': {
+        const entry = await client.get(schemaPathFor(prefix));
+        if (!entry) {
+          console.error(chalk.yellow(`⚠️  No schema set for ${normalizePrefix(prefix)}`));
+          process.exit(1);
+        }
+        console.log(JSON.stringify(entry.schema, null, 2));
+        break;
+      }
+
+      case 'list':
+      case 'ls': {
+        const paths = ((await client.list(SCHEMA_ROOT)) || []).map(getFragmentPath);
+        if (paths.length === 0) {
+          console.log(chalk.yellow('⚠️  No schemas set'));
+          break;
+        }
+        console.log(chalk.white(`📐 ${paths.length} schema(s):`));
+        for (const schemaPath of paths) {
+          const entry = await client.get(schemaPath);
+          console.log(`   ${entry?.prefix || schemaPath}`);
+        }
+        break;
+      }
+
+      case 'delete':
+      case 'rm': {
+        const schemaPath = schemaPathFor(prefix);
+        if (!(await client.getRaw(schemaPath))) {
+          console.error(chalk.yellow(`⚠️  No schema set for ${normalizePrefix(prefix)}`));
+          process.exit(1);
+        }
+        if (!context.flags.yes) {
+          const { confirm } = await prompts(
+            {
+              type: 'confirm',
+              name: 'confirm',
+              message: `Stop validating fragments under ${normalizePrefix(prefix)}?`,
+              initial: false,
+            },
+            {
+              onCancel: () => {
+                console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+                process.exit(1);
+              },
+            }
+          );
+          if (!confirm) {
+            console.log(chalk.yellow('⚠️  Deletion cancelled'));
+            process.exit(0);
+          }
+        }
+        await client.del(schemaPath);
+        console.log(chalk.green(`✅ Schema removed for ${normalizePrefix(prefix)}`));
+        break;
+      }
+
+      default:
+        console.error(chalk.red(`❌ Unknown schema command: ${action}`));
+        console.error(usage);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Schema command failed:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function loadTree(client, context, prefixArg) {
+  const prefix = prefixArg ? normalizePrefix(prefixArg) : '';
+  const concurrency = parseListNumber(context.flags.concurrency, '--concurrency', 8, 1);
+  const paths = ((await client.list(prefix || '/')) || []).map(getFragmentPath);
+  const rows = await fetchListing(client, paths, concurrency);
+  return { prefix, root: buildTree(rows, prefix) };
+}
+
+async function treeCommand(client, context, prefixArg) {
+  try {
+    const { prefix, root } = await loadTree(client, context, prefixArg);
+    if (root.count === 0) {
+      console.log(chalk.yellow('⚠️  No fragments found'));
+      return;
+    }
+
+    console.log(chalk.white(`${prefix || '/'} ${chalk.gray(`(${root.count})`)}`));
+    const lines = renderTree(root, (node) => {
+      const visibility = node.fragment?.visibility;
+      const icon = visibility === 'public' ? '🌐' : visibility === 'private' ? '🔒' : '❓';
+      let label = node.children.size > 0 ? `${node.name}/` : node.name;
+      if (node.fragment) {
+        label += ` ${icon}`;
+      }
+      if (node.children.size > 0) {
+        label += chalk.gray(` (${node.count})`);
+      }
+      return label;
+    });
+    lines.forEach((line) => console.log(line));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to build fragment tree:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function duCommand(client, context, prefixArg) {
+  try {
+    const format = getOutputFormat(context.flags);
+    const depth = parseListNumber(context.flags.depth, '--depth', Infinity);
+    const { root } = await loadTree(client, context, prefixArg);
+    const rows = summarizeTree(root, depth).map((row) => ({ ...row, path: row.path || '/' }));
+
+    if (format) {
+      console.log(formatOutput(rows, format));
+      return;
+    }
+    if (root.count === 0) {
+      console.log(chalk.yellow('⚠️  No fragments found'));
+      return;
+    }
+
+    const sizeWidth = Math.max(...rows.map((row) => formatSize(row.size).length));
+    const countWidth = Math.max(...rows.map((row) => String(row.count).length));
+    for (const row of rows) {
+      const size = formatSize(row.size).padStart(sizeWidth);
+      const count = chalk.gray(`${String(row.count).padStart(countWidth)} fragment(s)`);
+      console.log(`${size}  ${count}  ${row.path}`);
+    }
+    console.log(chalk.gray('\n💡 Sizes are counted like "Size:" in fragment list --detailed'));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to compute fragment usage:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+async function searchCommand(client, context, pattern, prefixArg) {
+  if (!pattern) {
+    console.error(
+      `Usage: ${context.personality} fragment search PATTERN [PREFIX] [--regex] [--ignore-case|-i] [--keys-only] [--format=json|yaml|toml|env|table] [--concurrency=8] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  let matcher;
+  let format;
+  try {
+    matcher = createMatcher(String(pattern), {
+      regex: context.flags.regex,
+      ignoreCase: context.flags.ignoreCase,
+    });
+    format = getOutputFormat(context.flags);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  const concurrency = parseListNumber(context.flags.concurrency, '--concurrency', 8, 1);
+  // With --format only the data goes to stdout
+  const log = format ? console.error : console.log;
+
+  try {
+    const paths = ((await client.list(prefixArg || '/')) || []).map(getFragmentPath);
+    if (paths.length === 0) {
+      log(chalk.yellow('⚠️  No fragments found'));
+      return;
+    }
+
+    const searchOne = async (fragmentPath) => {
+      try {
+        const value = await client.get(fragmentPath);
+        return {
+          path: fragmentPath,
+          matches: searchValue(value, matcher, { keysOnly: context.flags.keysOnly }),
+        };
+      } catch (err) {
+        return { path: fragmentPath, error: err.message };
+      }
+    };
+
+    // Decrypt the first fragment on its own so a keychain unlock prompt isn't drawn
+    // underneath the spinner
+    const first = await searchOne(paths[0]);
+    const others =
+      paths.length > 1
+        ? await waitFor(
+            (spinner) =>
+              mapWithConcurrency(paths.slice(1), concurrency, searchOne, (done) => {
+                spinner.text = `Searching ${done + 1}/${paths.length}`;
+              }),
+            { text: `Searching 1/${paths.length}` }
+          )
+        : [];
+    const results = [first, ...others];
+    const hits = results.filter((result) => result.matches?.length > 0);
+    const failed = results.filter((result) => result.error);
+
+    if (format) {
+      console.log(formatOutput(hits, format));
+    } else {
+      for (const hit of hits) {
+        console.log(chalk.white(hit.path));
+        for (const match of hit.matches) {
+          const where = chalk.cyan(match.at);
+          if (match.on === 'key') {
+            console.log(`   ${where} ${chalk.gray('(key)')}`);
+          } else {
+            const snippet = matchSnippet(match.text, matcher);
+            console.log(`   ${where}: ${highlightMatches(snippet, matcher, chalk.red.bold)}`);
+          }
+        }
+      }
+    }
+
+    const matchCount = hits.reduce((total, hit) => total + hit.matches.length, 0);
+    if (hits.length > 0) {
+      log(
+        chalk.green(
+          `\n✅ ${matchCount} match(es) in ${hits.length} of ${results.length} fragment(s)`
+        )
+      );
+    } else {
+      log(chalk.yellow(`⚠️  No matches in ${results.length} fragment(s)`));
+    }
+    if (failed.length > 0) {
+      log(chalk.yellow(`⚠️  Could not read ${failed.length} fragment(s)`));
+      if (context.flags.debug) {
+        failed.forEach((result) => log(chalk.gray(`   ${result.path}: ${result.error}`)));
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to search fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+// publish/unpublish: store the current value again as a new version with the other visibility
+async function visibilityCommand(client, context, fragmentPath, visibility) {
+  const name = visibility === 'public' ? 'publish' : 'unpublish';
+  if (!fragmentPath) {
+    console.error(
+      `Usage: ${context.personality} fragment ${name} PATH [--yes] [--timeout=30000] [--no-retry] [--api-url=URL]`
+    );
+    process.exit(1);
+  }
+
+  try {
+    const envelope = await client.getRaw(fragmentPath);
+    if (!envelope) {
+      console.error(chalk.red(`❌ Fragment not found: ${fragmentPath}`));
+      process.exit(1);
+    }
+    if (getFragmentVisibility(envelope) === visibility) {
+      console.log(chalk.green(`✅ ${fragmentPath} is already ${visibility}`));
+      return;
+    }
+    const revision = remoteRevision(envelope);
+    const value = await client.get(fragmentPath);
+
+    if (visibility === 'public' && !checkPublicValue(context, fragmentPath, value, envelope.meta)) {
+      process.exit(1);
+    }
+
+    if (visibility === 'public' && !context.flags.yes) {
+      console.log(chalk.yellow(`⚠️  ${fragmentPath} will be stored unencrypted.`));
+      console.log(chalk.gray('   Anyone who knows your subject and this path can read it.'));
+      const confirmResponse = await prompts(
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Make ${fragmentPath} (${getFragmentSize(envelope)} bytes) public?`,
+          initial: false,
+        },
+        {
+          onCancel: () => {
+            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+            process.exit(1);
+          },
+        }
+      );
+      if (!confirmResponse.confirm) {
+        console.log(chalk.yellow('⚠️  Publish cancelled'));
+        process.exit(0);
+      }
+    }
+
+    if (await changedSinceRead(client, fragmentPath, revision)) {
+      console.error(chalk.gray(`   Run ${name} again to apply it to the latest version.`));
+      process.exit(1);
+    }
+
+    const opts = { visibility };
+    const userMeta = pickUserMeta(envelope.meta);
+    if (userMeta) {
+      opts.meta = userMeta;
+    }
+    console.log(chalk.white(`💾 Storing ${visibility} fragment: ${fragmentPath}`));
+    await client.put(fragmentPath, value, opts);
+
+    const written = await client.getRaw(fragmentPath);
+    if (getFragmentVisibility(written) !== visibility) {
+      throw new Error(`Verification failed: ${fragmentPath} is not ${visibility}`);
+    }
+    console.log(chalk.green(`✅ ${fragmentPath} is now ${visibility}`));
+    if (visibility === 'private') {
+      console.log(chalk.gray('   Earlier versions stay public, and anyone who already'));
+      console.log(chalk.gray('   read the value may still have a copy.'));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to ${name} fragment:`), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+// Current version of every live fragment under a prefix (snapshots themselves are skipped)
+async function fetchVersions(client, prefix, concurrency) {
+  const paths = ((await client.list(prefix)) || [])
+    .map(getFragmentPath)
+    .filter((p) => (prefix === '/' || p.startsWith(prefix)) && !p.startsWith(SNAPSHOT_ROOT));
+  const versions = new Map();
+  if (paths.length === 0) {
+    return versions;
+  }
+  await waitFor(
+    (spinner) =>
+      mapWithConcurrency(
+        paths,
+        concurrency,
+        async (fragmentPath) => {
+          const envelope = await client.getRaw(fragmentPath);
+          if (envelope && !(envelope.meta?.deleted ?? envelope.deleted)) {
+            versions.set(fragmentPath, envelope.meta?.version);
+          }
+        },
+        (done, total) => {
+          spinner.text = `Fetching versions ${done}/${total}`;
+        }
+      ),
+    { text: `Fetching versions 0/${paths.length}` }
+  );
+  return versions;
+}
+
+async function snapshotCommand(client, context, action, arg, name) {
+  const usage = `Usage: ${context.personality} fragment snapshot create PREFIX NAME | restore NAME | list [--yes] [--dry-run] [--concurrency=8] [--timeout=30000] [--no-retry] [--api-url=URL]`;
+  if (!action || (action === 'create' && (!arg || !name)) || (action === 'restore' && !arg)) {
+    console.error(usage);
+    process.exit(1);
+  }
+  const concurrency = parseListNumber(context.flags.concurrency, '--concurrency', 8, 1);
+
+  try {
+    switch (action) {
+      case 'create': {
+        const prefix = normalizePrefix(arg);
+        const snapshotPath = snapshotPathFor(name);
+        if (!context.flags.force && (await client.getRaw(snapshotPath))) {
+          console.error(chalk.red(`❌ Snapshot ${name} already exists`));
+          console.error(chalk.gray('   Pick another name, or pass --force to replace it.'));
+          process.exit(1);
+        }
+
+        const versions = await fetchVersions(client, prefix, concurrency);
+        const fragments = [];
+        for (const [fragmentPath, version] of [...versions].sort(([a], [b]) =>
+          a.localeCompare(b)
+        )) {
+          if (version === undefined) {
+            console.log(chalk.yellow(`⚠️  ${fragmentPath} has no version number, skipped`));
+          } else {
+            fragments.push({ path: fragmentPath, version });
+          }
+        }
+        if (fragments.length === 0) {
+          console.error(chalk.yellow(`⚠️  No fragments found under ${prefix}`));
+          process.exit(1);
+        }
+
+        await client.put(
+          snapshotPath,
+          { name, prefix, createdAt: new Date().toISOString(), fragments },
+          { visibility: 'private' }
+        );
+        console.log(
+          chalk.green(`✅ Snapshot ${name} records ${fragments.length} fragment(s) under ${prefix}`)
+        );
+        console.log(
+          chalk.gray(`   Roll back with: ${context.personality} fragment snapshot restore ${name}`)
+        );
+        break;
+      }
+
+      case 'restore': {
+        const snapshotPath = snapshotPathFor(arg);
+        const snapshot = await client.get(snapshotPath);
+        if (!snapshot) {
+          console.error(chalk.red(`❌ Snapshot not found: ${arg}`));
+          process.exit(1);
+        }
+
+        const plan = planRestore(
+          snapshot,
+          await fetchVersions(client, snapshot.prefix, concurrency)
+        );
+        const toRecover = plan.filter(({ action: step }) => step === 'recover');
+        console.log(
+          chalk.white(`📸 Snapshot ${snapshot.name} of ${snapshot.prefix} (${snapshot.createdAt})`)
+        );
+        for (const step of plan) {
+          if (step.action === 'recover') {
+            const from = step.current === undefined ? 'deleted' : `v${step.current}`;
+            console.log(`   ⏪ ${step.path} ${chalk.gray(`${from} → v${step.version}`)}`);
+          } else if (step.action === 'extra') {
+            console.log(
+              `   ➕ ${step.path} ${chalk.gray('(created after the snapshot, left as is)')}`
+            );
+          } else if (context.flags.debug) {
+            console.log(chalk.gray(`   ${step.path} (unchanged)`));
+          }
+        }
+        if (toRecover.length === 0) {
+          console.log(chalk.green('✅ Everything already matches the snapshot'));
+          break;
+        }
+        if (context.flags.dryRun) {
+          console.log(
+            chalk.gray(`\n💡 Dry run: ${toRecover.length} fragment(s) would be recovered`)
+          );
+          break;
+        }
+
+        if (!context.flags.yes) {
+          const { confirm } = await prompts(
+            {
+              type: 'confirm',
+              name: 'confirm',
+              message: `Recover ${toRecover.length} fragment(s) to their snapshot versions?`,
+              initial: false,
+            },
+            {
+              onCancel: () => {
+                console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+                process.exit(1);
+              },
+            }
+          );
+          if (!confirm) {
+            console.log(chalk.yellow('⚠️  Restore cancelled'));
+            process.exit(0);
+          }
+        }
+
+        const subjectId = client.getSession()?.subject?.id;
+        const restored = { ...snapshot.restored };
+        let failed = 0;
+        for (const step of toRecover) {
+          try {
+            // Like client.recover(), but keeping the version's visibility, tags and
+            // fields (including the binary payload description)
+            const envelope = await client.getRaw(step.path, { version: step.version });
+            if (!envelope) {
+              throw new Error(`version ${step.version} is no longer on the server`);
+            }
+            const opts = { visibility: getWriteVisibility(envelope) };
+            const userMeta = pickUserMeta(envelope.meta);
+            if (userMeta) {
+              opts.meta = userMeta;
+            }
+            await client.put(
+              step.path,
+              await client.get(step.path, { version: step.version }),
+              opts
+            );
+            updateTrash(() => removeFromTrash(subjectId, step.path));
+            // Recovering writes a new version; remember it so a second restore leaves it alone
+            restored[step.path] = (await client.getRaw(step.path))?.meta?.version;
+          } catch (error) {
+            failed++;
+            console.error(chalk.red(`❌ ${step.path}:`), error.message);
+          }
+        }
+        if (failed < toRecover.length) {
+          await client.put(snapshotPath, { ...snapshot, restored }, { visibility: 'private' });
+        }
+        if (failed > 0) {
+          console.error(
+            chalk.red(`❌ ${failed} of ${toRecover.length} fragment(s) failed to recover`)
+          );
+          process.exit(1);
+        }
+        console.log(
+          chalk.green(`✅ Restored ${toRecover.length} fragment(s) from ${snapshot.name}`)
+        );
+        break;
+      }
+
+      case 'list':
+      case 'ls': {
+        const paths = ((await client.list(SNAPSHOT_ROOT)) || []).map(getFragmentPath);
+        if (paths.length === 0) {
+          console.log(chalk.yellow('⚠️  No snapshots'));
+          break;
+        }
+        console.log(chalk.white(`📸 ${paths.length} snapshot(s):`));
+        for (const snapshotPath of paths) {
+          const snapshot = await client.get(snapshotPath);
+          if (snapshot) {
+            console.log(
+              `   ${snapshot.name}  ${chalk.gray(
+                `${snapshot.prefix}, ${snapshot.fragments.length} fragment(s), ${snapshot.createdAt}`
+              )}`
+            );
+          }
+        }
+        break;
+      }
+
+      default:
+        console.error(chalk.red(`❌ Unknown snapshot command: ${action}`));
+        console.error(usage);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Snapshot command failed:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+// Keys stored directly under a dotenv prefix (the manifest and nested paths are skipped)
+async function listDotenvKeys(client, prefix) {
+  return ((await client.list(prefix)) || [])
+    .map(getFragmentPath)
+    .filter((p) => p.startsWith(prefix))
+    .map((p) => p.slice(prefix.length))
+    .filter((key) => key && !key.includes('/') && key !== DOTENV_MANIFEST);
+}
+
+// Current value of every key, as the string it would have in a .env file
+async function fetchDotenvValues(client, prefix, keys, concurrency) {
+  const values = {};
+  const fetchOne = async (key) => {
+    const value = await client.get(`${prefix}${key}`);
+    if (value !== null && value !== undefined) {
+      values[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  };
+  // Decrypt the first key on its own so the keychain is unlocked (and asked for) once
+  if (keys.length > 0) {
+    await fetchOne(keys[0]);
+  }
+  await mapWithConcurrency(keys.slice(1), concurrency, fetchOne);
+  return values;
+}
+
+async function dotenvCommand(client, context, action, prefixArg, file) {
+  const usage = `Usage: ${context.personality} fragment dotenv pull PREFIX [--output=FILE] | push PREFIX [FILE] [--yes] [--dry-run] [--concurrency=8] [--timeout=30000] [--no-retry] [--api-url=URL]`;
+  if (!['pull', 'push'].includes(action) || !prefixArg) {
+    console.error(usage);
+    process.exit(1);
+  }
+  const prefix = normalizePrefix(prefixArg);
+  const manifestPath = `${prefix}${DOTENV_MANIFEST}`;
+  const concurrency = parseListNumber(context.flags.concurrency, '--concurrency', 8, 1);
+
+  try {
+    const manifest = await client.get(manifestPath);
+    const remoteKeys = await listDotenvKeys(client, prefix);
+
+    if (action === 'pull') {
+      if (remoteKeys.length === 0) {
+        console.error(chalk.yellow(`⚠️  No variables stored under ${prefix}`));
+        process.exit(1);
+      }
+      const values = await fetchDotenvValues(client, prefix, remoteKeys, concurrency);
+
+      // Manifest layout first; keys added some other way go at the end
+      const lines = (manifest?.lines || []).filter(
+        (line) => line.type !== 'entry' || values[line.key] !== undefined
+      );
+      const listed = new Set(lines.map((line) => line.key));
+      for (const key of Object.keys(values).sort()) {
+        if (!listed.has(key)) {
+          lines.push({ type: 'entry', key });
+        }
+      }
+
+      const output = formatDotenvFile(lines, values);
+      if (context.flags.output) {
+        fs.writeFileSync(context.flags.output, output, { mode: 0o600 });
+      } else {
+        process.stdout.write(output);
+      }
+      console.error(
+        chalk.green(`✅ Pulled ${Object.keys(values).length} variable(s) from ${prefix}`)
+      );
+      return;
+    }
+
+    let text;
+    let fromStdin = false;
+    if (file) {
+      if (!fs.existsSync(file)) {
+        console.error(chalk.red(`❌ File not found: ${file}`));
+        process.exit(1);
+      }
+      text = fs.readFileSync(file, 'utf8');
+    } else if (!process.stdin.isTTY) {
+      fromStdin = true;
+      text = '';
+      process.stdin.setEncoding('utf8');
+      for await (const chunk of process.stdin) {
+        text += chunk;
+      }
+    } else {
+      console.error(chalk.red('❌ No .env given: pass a file or pipe it to stdin'));
+      console.error(usage);
+      process.exit(1);
+    }
+
+    let lines;
+    try {
+      lines = parseDotenvFile(text);
+    } catch (error) {
+      console.error(chalk.red(`❌ Can't read ${file || 'stdin'}:`), error.message);
+      process.exit(1);
+    }
+    const entries = lines.filter((line) => line.type === 'entry');
+    const fileKeys = new Set(entries.map(({ key }) => key));
+    const current = await fetchDotenvValues(
+      client,
+      prefix,
+      remoteKeys.filter((key) => fileKeys.has(key)),
+      concurrency
+    );
+
+    const changes = [];
+    for (const { key, value } of entries) {
+      if (current[key] === undefined) {
+        changes.push({ sign: '+', key, value });
+      } else if (current[key] !== value) {
+        changes.push({ sign: '~', key, value });
+      }
+    }
+    for (const key of remoteKeys.filter((k) => !fileKeys.has(k)).sort()) {
+      changes.push({ sign: '-', key });
+    }
+    const layout = toManifest(lines);
+    const layoutChanged = JSON.stringify(manifest?.lines) !== JSON.stringify(layout);
+
+    if (changes.length === 0 && !layoutChanged) {
+      console.log(chalk.green(`✅ ${prefix} already matches ${file || 'stdin'}`));
+      return;
+    }
+
+    // Only keys are shown; values stay off the terminal
+    console.log(chalk.white(`📄 Pushing ${file || 'stdin'} to ${prefix}:`));
+    const colors = { '+': chalk.green, '~': chalk.yellow, '-': chalk.red };
+    for (const { sign, key } of changes) {
+      console.log(colors[sign](`   ${sign} ${key}`));
+    }
+    if (layoutChanged) {
+      console.log(chalk.gray('   comments and order updated'));
+    }
+
+    if (context.flags.dryRun) {
+      console.log(chalk.gray('\n💡 Dry run, nothing was written'));
+      return;
+    }
+
+    if (!context.flags.yes) {
+      if (fromStdin) {
+        console.error(chalk.red("❌ Can't ask for confirmation while reading from stdin"));
+        console.error(
+          chalk.gray('   Check the changes with --dry-run, then run again with --yes.')
+        );
+        process.exit(1);
+      }
+      const { confirm } = await prompts(
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Apply ${changes.length} change(s) to ${prefix}?`,
+          initial: false,
+        },
+        {
+          onCancel: () => {
+            console.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+            process.exit(1);
+          },
+        }
+      );
+      if (!confirm) {
+        console.log(chalk.yellow('⚠️  Push cancelled'));
+        process.exit(0);
+      }
+    }
+
+    const subject = client.getSession()?.subject?.id;
+    for (const { sign, key, value } of changes) {
+      const fragmentPath = `${prefix}${key}`;
+      if (sign === '-') {
+        const envelope = await client.getRaw(fragmentPath);
+        await client.del(fragmentPath);
+        updateTrash(() =>
+          recordDeletion({ subject, path: fragmentPath, version: envelope?.meta?.version })
+        );
+      } else {
+        await client.put(fragmentPath, value, { visibility: 'private' });
+      }
+    }
+    if (layoutChanged) {
+      await client.put(manifestPath, { lines: layout }, { visibility: 'private' });
+    }
+    console.log(chalk.green(`✅ Pushed ${entries.length} variable(s) to ${prefix}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to ${action} dotenv:`), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
@@ -0,0 +1,90 @@
+import chalk from 'chalk';
+import { createClient } from '../lib/client.js';
+import getStdin from 'get-stdin';
+import {
+  formatCredential,
+  gitCredentialPath,
+  parseCredential,
+  toStoredCredential,
+} from '../lib/git-credential.js';
+
+export const description = 'git credential helper that keeps credentials in the vault';
+
+function usage(context) {
+  console.error(`Usage: ${context.personality} git-credential get|store|erase`);
+  console.error('');
+  console.error('Set it up once per machine (npm installs the git-credential-identa helper):');
+  console.error('  git config --global credential.helper identa');
+  console.error('');
+  console.error('Credentials are stored as private fragments under credentials/git/,');
+  console.error('e.g. credentials/git/github.com');
+}
+
+// stdout belongs to git, so every message goes to stderr
+export const exec = async (context) => {
+  const [, operation] = context.input;
+  if (!['get', 'store', 'erase'].includes(operation)) {
+    usage(context);
+    process.exit(1);
+  }
+
+  let credential;
+  let fragmentPath;
+  try {
+    credential = parseCredential(await getStdin());
+    fragmentPath = gitCredentialPath(credential);
+  } catch (error) {
+    console.error(chalk.red('❌ Invalid credential request:'), error.message);
+    process.exit(1);
+  }
+
+  try {
+    const client = await createClient(context, { reserveStdout: true });
+    if (!client.getSession()) {
+      // Not fatal for get: git falls back to asking for the password
+      console.error(
+        chalk.yellow(`⚠️  identa: not logged in, run: ${context.personality} auth login`)
+      );
+      process.exit(operation === 'get' ? 0 : 1);
+    }
+
+    const stored = await client.get(fragmentPath);
+    // A stored credential for another user on the same host doesn't match
+    const matches =
+      stored &&
+      (!credential.username || !stored.username || stored.username === credential.username);
+
+    switch (operation) {
+      case 'get': {
+        if (matches) {
+          process.stdout.write(formatCredential({ ...credential, ...stored }));
+        }
+        break;
+      }
+
+      case 'store': {
+        if (!credential.username || !credential.password) {
+          break;
+        }
+        const value = toStoredCredential(credential);
+        if (JSON.stringify(value) !== JSON.stringify(stored)) {
+          await client.put(fragmentPath, value, { visibility: 'private' });
+        }
+        break;
+      }
+
+      case 'erase': {
+        if (matches && (!credential.password || credential.password === stored.password)) {
+          await client.del(fragmentPath);
+        }
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ identa git-credential ${operation} failed:`), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+};
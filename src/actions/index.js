@@ -12,6 +12,14 @@ export const ACTIONS_MANIFEST = {
   // Fragment management
   fragment: () => import('./fragment.js'),
 
+  // Run commands and render templates with fragment values
+  run: () => import('./run.js'),
+  render: () => import('./render.js'),
+
+  // Credential helpers
+  'git-credential': () => import('./git-credential.js'),
+  'docker-credential': () => import('./docker-credential.js'),
+
   // Key management
   keys: () => import('./keys.js'),
 
@@ -11,6 +11,8 @@ import os from 'os';
 import path from 'path';
 import prompts from 'prompts';
 import { resolveApiBaseUrl } from '../lib/api-url.js';
+import { askOnTerminal } from '../lib/client.js';
+import { formatOutput, getOutputFormat } from '../lib/format.js';
 
 export const description = 'Authentication key management (register, list, remove, test)';
 
@@ -60,7 +62,9 @@ export const exec = async (context) => {
     default: {
       console.error('Usage:');
       console.error(`  ${context.personality} keys register [--api-url=URL] [--debug]`);
-      console.error(`  ${context.personality} keys list [--api-url=URL] [--debug]`);
+      console.error(
+        `  ${context.personality} keys list [--format=json|yaml|toml|env|table] [--api-url=URL] [--debug]`
+      );
       console.error(
         `  ${context.personality} keys remove METHOD [KEY_ID] [--api-url=URL] [--debug] [--yes]`
       );
@@ -186,10 +190,15 @@ async function registerCommand(context) {
 
 async function listCommand(context) {
   try {
+    const format = getOutputFormat(context.flags);
+    // With --format only the data goes to stdout
+    const log = format ? console.error : console.log;
+    const ui = format ? { log, ask: askOnTerminal } : { log, ask: prompts };
+
     // Create password provider for keychain operations
     const passwordProvider = {
       async getPassword(promptText) {
-        const response = await prompts({
+        const response = await ui.ask({
           type: 'password',
           name: 'password',
           message: promptText,
@@ -206,7 +215,7 @@ async function listCommand(context) {
           promptText.toLowerCase().includes('create') ||
           promptText.toLowerCase().includes('new')
         ) {
-          const confirmResponse = await prompts({
+          const confirmResponse = await ui.ask({
             type: 'password',
             name: 'password',
             message: 'Confirm password:',
@@ -236,26 +245,26 @@ async function listCommand(context) {
       passwordProvider,
       deviceKeyProvider: createDeviceKeyProvider(),
       deviceKeyStorageProvider,
-      sshKeyProvider: createSSHKeyProvider(context.flags.sshKey),
+      sshKeyProvider: createSSHKeyProvider(context.flags.sshKey, ui),
       debug: context.flags.debug,
     });
 
-    console.log(chalk.white('🔐 Initializing Ident SDK...'));
+    log(chalk.white('🔐 Initializing Ident SDK...'));
     await client.ready();
 
     // Add unlock method selection handler
     client.on('unlock_method_selection', (data) => {
       const { methods, resolve, reject } = data;
 
-      console.log(chalk.blue('🔐 Multiple unlock methods available. Choose one:'));
+      log(chalk.blue('🔐 Multiple unlock methods available. Choose one:'));
       methods.forEach((method, index) => {
         const displayText = method.detail
           ? `${method.displayName} ${chalk.gray(`(${method.detail})`)}`
           : method.displayName;
-        console.log(chalk.white(`   ${index + 1}. ${displayText}`));
+        log(chalk.white(`   ${index + 1}. ${displayText}`));
       });
 
-      prompts({
+      ui.ask({
         type: 'number',
         name: 'choice',
         message: 'Select unlock method',
@@ -273,11 +282,27 @@ async function listCommand(context) {
     // Check if authenticated
     const session = client.getSession();
     if (!session) {
-      console.log(chalk.yellow('⚠️  Not authenticated. Run login first.'));
-      console.log(chalk.white(`   ${context.personality} auth login`));
+      log(chalk.yellow('⚠️  Not authenticated. Run login first.'));
+      log(chalk.white(`   ${context.personality} auth login`));
       process.exit(1);
     }
 
+    if (format) {
+      const detailedMethods = await client.getDetailedUnlockMethods();
+      const rows = detailedMethods.map((method) => ({
+        keyId: method.keyId,
+        method: method.method,
+        type: method.type,
+        createdAt: method.createdAt ? new Date(method.createdAt).toISOString() : undefined,
+        description: method.device?.description ?? method.comment,
+        platform: method.device?.platform,
+        deviceId: method.device?.device_id,
+        fingerprint: method.fingerprint_sha256,
+      }));
+      console.log(formatOutput(rows, format));
+      return;
+    }
+
     console.log(chalk.green('🔑 Unlock Methods'));
     console.log(chalk.white(`   Subject: ${session.subject.id}`));
 
@@ -1059,7 +1084,7 @@ function createDeviceKeyProvider() {
 }
 
 // Create an SSH key provider function for CLI
-function createSSHKeyProvider(customKeyPath) {
+function createSSHKeyProvider(customKeyPath, ui = { log: console.log, ask: prompts }) {
   return async () => {
     // Try to find the SSH private key
     // First try the default location
@@ -1076,7 +1101,7 @@ function createSSHKeyProvider(customKeyPath) {
       if (!fsSync.existsSync(keyPath)) {
         console.error(chalk.red(`❌ SSH key not found at: ${keyPath}`));
         // Fall back to prompting
-        const response = await prompts({
+        const response = await ui.ask({
           type: 'text',
           name: 'keyPath',
           message: 'Enter path to SSH private key:',
@@ -1095,8 +1120,8 @@ function createSSHKeyProvider(customKeyPath) {
           keyPath = rsaKeyPath;
         } else {
           // Prompt for custom path
-          console.log(chalk.yellow('⚠️  Default SSH keys not found (id_ed25519 or id_rsa)'));
-          const response = await prompts({
+          ui.log(chalk.yellow('⚠️  Default SSH keys not found (id_ed25519 or id_rsa)'));
+          const response = await ui.ask({
             type: 'text',
             name: 'keyPath',
             message: 'Enter path to SSH private key:',
@@ -1121,7 +1146,7 @@ function createSSHKeyProvider(customKeyPath) {
     // Check if passphrase is needed
     let passphrase;
     if (privateKey.includes('ENCRYPTED')) {
-      const response = await prompts({
+      const response = await ui.ask({
         type: 'password',
         name: 'passphrase',
         message: `Enter passphrase for SSH key (${path.basename(keyPath)}):`,
@@ -0,0 +1,131 @@
+import chalk from 'chalk';
+import config from '../lib/config.js';
+import { createClient } from '../lib/client.js';
+import { findReferences, fragmentText, renderTemplate } from '../lib/template.js';
+import fs from 'fs';
+import { getSecretProvider } from '../lib/secrets.js';
+
+export const description = 'Render a template with fragment and secret values';
+
+function usage(context) {
+  console.error(
+    `Usage: ${context.personality} render TEMPLATE [--output=FILE] [--check] [--service=NAME] [--timeout=30000] [--no-retry] [--api-url=URL]`
+  );
+  console.error('');
+  console.error('Placeholders:');
+  console.error('  {{ fragment "config/db" }}              Whole fragment (objects become JSON)');
+  console.error('  {{ fragment "config/db" ".password" }}  Part of it (same syntax as --query)');
+  console.error('  {{ secret "github-token" }}             Secret from identa secrets');
+  console.error('');
+  console.error('Examples:');
+  console.error('  identa render deployment.yaml.tmpl > deployment.yaml');
+  console.error('  identa render nginx.conf.tmpl --output=/etc/nginx/nginx.conf');
+  console.error('  identa render deployment.yaml.tmpl --check  # Only verify references');
+}
+
+// Looks up every distinct reference once; returns values by key and readable failures
+async function resolveReferences(context, references) {
+  const values = new Map();
+  const failures = [];
+  const pending = [...new Map(references.map((ref) => [ref.key, ref])).values()];
+
+  const secretRefs = pending.filter((ref) => ref.type === 'secret');
+  if (secretRefs.length > 0) {
+    const secrets = await getSecretProvider();
+    const service =
+      context.flags.service || config.get('personality') || context.personality || 'default';
+    for (const ref of secretRefs) {
+      const secret = await secrets.get(service, ref.name);
+      if (secret === undefined || secret === null) {
+        failures.push({ ref, reason: `secret not found: ${ref.name}` });
+      } else {
+        values.set(ref.key, secret);
+      }
+    }
+  }
+
+  const fragmentRefs = pending.filter((ref) => ref.type === 'fragment');
+  if (fragmentRefs.length > 0) {
+    const client = await createClient(context, { reserveStdout: true });
+    if (!client.getSession()) {
+      throw new Error(`Not authenticated. Try running: ${context.personality} login`);
+    }
+    const fragments = new Map();
+    for (const ref of fragmentRefs) {
+      if (!fragments.has(ref.path)) {
+        fragments.set(ref.path, await client.get(ref.path));
+      }
+      const fragment = fragments.get(ref.path);
+      if (fragment === null || fragment === undefined) {
+        failures.push({ ref, reason: `fragment not found: ${ref.path}` });
+        continue;
+      }
+      let text;
+      try {
+        text = fragmentText(fragment, ref.query);
+      } catch (error) {
+        failures.push({ ref, reason: error.message });
+        continue;
+      }
+      if (text === undefined) {
+        failures.push({ ref, reason: `${ref.path} has nothing at ${ref.query}` });
+      } else {
+        values.set(ref.key, text);
+      }
+    }
+  }
+
+  return { values, failures };
+}
+
+export const exec = async (context) => {
+  const [, templateFile] = context.input;
+  if (!templateFile) {
+    usage(context);
+    process.exit(1);
+  }
+  if (!fs.existsSync(templateFile)) {
+    console.error(chalk.red(`❌ File not found: ${templateFile}`));
+    process.exit(1);
+  }
+
+  try {
+    const template = fs.readFileSync(templateFile, 'utf8');
+    const references = findReferences(template);
+    const { values, failures } = await resolveReferences(context, references);
+
+    if (failures.length > 0) {
+      // Report every placeholder that uses a failed reference, not just the first
+      const failed = new Map(failures.map(({ ref, reason }) => [ref.key, reason]));
+      const uses = references.filter((ref) => failed.has(ref.key));
+      console.error(
+        chalk.red(`❌ ${uses.length} placeholder(s) in ${templateFile} could not be resolved:`)
+      );
+      for (const ref of uses) {
+        console.error(chalk.gray(`   line ${ref.line}: ${ref.text} (${failed.get(ref.key)})`));
+      }
+      process.exit(1);
+    }
+
+    if (context.flags.check) {
+      console.error(
+        chalk.green(`✅ All ${references.length} placeholder(s) in ${templateFile} resolve`)
+      );
+      return;
+    }
+
+    const output = renderTemplate(template, values);
+    if (context.flags.output) {
+      fs.writeFileSync(context.flags.output, output, { mode: 0o600 });
+      console.error(chalk.green(`✅ Rendered ${templateFile} to ${context.flags.output}`));
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to render template:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+};
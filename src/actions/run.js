@@ -0,0 +1,110 @@
+import chalk from 'chalk';
+import { createClient } from '../lib/client.js';
+import fs from 'fs';
+import { parseEnvAssignment, parseEnvFile, resolveEnv } from '../lib/fragment-env.js';
+import { spawn } from 'child_process';
+
+export const description = 'Run a command with fragments as environment variables';
+
+// SIGUSR1 is left out: Node reserves it for the inspector
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT', 'SIGUSR2'];
+
+function usage(context) {
+  console.error(
+    `Usage: ${context.personality} run [--env NAME=fragment:PATH[#FIELD]]... [--env-file=FILE] [--timeout=30000] [--no-retry] [--api-url=URL] -- COMMAND [ARGS...]`
+  );
+  console.error('');
+  console.error('Examples:');
+  console.error('  identa run --env DB_URL=fragment:config/db#url -- npm start');
+  console.error('  identa run --env-file .identa.env -- ./deploy.sh --prod');
+  console.error('');
+  console.error('Env file (one assignment per line, # comments allowed):');
+  console.error('  DB_URL=fragment:config/db#url');
+  console.error('  STRIPE_KEY=fragment:config/stripe#secretKey');
+  console.error('  LOG_LEVEL=debug');
+}
+
+// Values only ever live in this process and the child's environment; nothing is written to disk
+export const exec = async (context) => {
+  const [, ...command] = context.input;
+  const envFlags = [].concat(context.flags.env ?? []);
+  const envFile = context.flags.envFile;
+
+  if (command.length === 0 || (envFlags.length === 0 && !envFile)) {
+    usage(context);
+    process.exit(1);
+  }
+
+  let assignments;
+  try {
+    assignments = [];
+    if (envFile) {
+      if (!fs.existsSync(envFile)) {
+        throw new Error(`File not found: ${envFile}`);
+      }
+      assignments.push(...parseEnvFile(fs.readFileSync(envFile, 'utf8')));
+    }
+    // --env wins over the env file
+    assignments.push(...envFlags.map((flag) => parseEnvAssignment(String(flag))));
+  } catch (error) {
+    console.error(chalk.red('❌ Invalid environment mapping:'), error.message);
+    process.exit(1);
+  }
+
+  let client;
+  try {
+    client = await createClient(context);
+    if (!client.getSession()) {
+      console.error(chalk.yellow('⚠️  Not authenticated'));
+      console.error(chalk.white(`   Try running: ${context.personality} login`));
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to initialize:'), error.message);
+    process.exit(1);
+  }
+
+  let injected;
+  try {
+    injected = await resolveEnv(assignments, (fragmentPath) => client.get(fragmentPath));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to read fragments:'), error.message);
+    if (context.flags.debug) {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+
+  if (context.flags.debug) {
+    console.error(chalk.blue(`🔧 Injecting: ${Object.keys(injected).join(', ')}`));
+  }
+
+  const child = spawn(command[0], command.slice(1), {
+    stdio: 'inherit',
+    env: { ...process.env, ...injected },
+  });
+
+  const forward = (signal) => {
+    child.kill(signal);
+  };
+  for (const signal of FORWARDED_SIGNALS) {
+    process.on(signal, forward);
+  }
+
+  child.on('error', (error) => {
+    console.error(chalk.red(`❌ Failed to start ${command[0]}:`), error.message);
+    process.exit(127);
+  });
+
+  child.on('exit', (code, signal) => {
+    for (const forwarded of FORWARDED_SIGNALS) {
+      process.off(forwarded, forward);
+    }
+    if (signal) {
+      // Die the same way the child did, so callers see the signal
+      process.kill(process.pid, signal);
+      return;
+    }
+    process.exit(code ?? 1);
+  });
+};
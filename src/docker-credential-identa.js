@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+// Docker runs `docker-credential-identa get|store|erase|list` when credsStore is "identa"
+process.argv.splice(2, 0, 'docker-credential');
+import('./ident-agency-cli.js');
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+// git runs `git-credential-identa get|store|erase` when credential.helper is "identa"
+process.argv.splice(2, 0, 'git-credential');
+import('./ident-agency-cli.js');
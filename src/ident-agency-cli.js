@@ -179,6 +179,49 @@ const cli = meow(defaultHelp, {
     //   type: "boolean",
     //   default: false,
     // }
+    // boolean flags must be declared so they don't swallow the next positional argument
+    yes: {
+      type: 'boolean',
+      shortFlag: 'y',
+    },
+    dryRun: {
+      type: 'boolean',
+    },
+    json: {
+      type: 'boolean',
+    },
+    recursive: {
+      type: 'boolean',
+      shortFlag: 'r',
+    },
+    force: {
+      type: 'boolean',
+    },
+    binary: {
+      type: 'boolean',
+    },
+    rawOutput: {
+      type: 'boolean',
+    },
+    ifAbsent: {
+      type: 'boolean',
+    },
+    regex: {
+      type: 'boolean',
+    },
+    ignoreCase: {
+      type: 'boolean',
+      shortFlag: 'i',
+    },
+    keysOnly: {
+      type: 'boolean',
+    },
+    allowSecrets: {
+      type: 'boolean',
+    },
+    check: {
+      type: 'boolean',
+    },
   },
 });
 if (cli.input.length === 0 || cli.input[0] === 'help') {
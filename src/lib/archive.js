@@ -0,0 +1,64 @@
+import fs from 'fs';
+import { gunzipSync } from 'zlib';
+import { gzipFile } from './compress.js';
+import os from 'os';
+import path from 'path';
+
+export const ARCHIVE_FORMAT = 'identa-fragment-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Writes a fragment archive as gzipped JSON.
+ * Fragment envelopes are written as returned by the API, so private fragments
+ * stay encrypted inside the archive.
+ *
+ * @param {string} outputPath - Where to write the archive
+ * @param {{manifest: object, fragments: Array<object>}} archive - Manifest and envelopes
+ */
+export async function writeArchive(outputPath, archive) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identa-export-'));
+  const tmpPath = path.join(tmpDir, 'archive.json');
+
+  try {
+    fs.writeFileSync(tmpPath, JSON.stringify(archive), { mode: 0o600 });
+    await gzipFile(tmpPath, outputPath);
+    fs.chmodSync(outputPath, 0o600);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Reads and validates a fragment archive written by writeArchive()
+ *
+ * @param {string} inputPath - Path to the archive
+ * @returns {{manifest: object, fragments: Array<object>}} The parsed archive
+ */
+export function readArchive(inputPath) {
+  let archive;
+  try {
+    archive = JSON.parse(gunzipSync(fs.readFileSync(inputPath)).toString('utf8'));
+  } catch (err) {
+    throw new Error(`Not a valid fragment archive: ${err.message}`);
+  }
+
+  const manifest = archive?.manifest;
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a valid fragment archive: missing manifest');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(
+      `Archive version ${manifest.version} is newer than supported version ${ARCHIVE_VERSION}`
+    );
+  }
+  if (!Array.isArray(archive.fragments)) {
+    throw new Error('Not a valid fragment archive: missing fragments');
+  }
+  if (archive.fragments.length !== manifest.count) {
+    throw new Error(
+      `Archive is incomplete: manifest lists ${manifest.count} fragment(s), found ${archive.fragments.length}`
+    );
+  }
+
+  return archive;
+}
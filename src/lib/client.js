@@ -0,0 +1,389 @@
+import { IdentClient } from '@ident-agency/core';
+import chalk from 'chalk';
+import { createDeviceKeyStorageProvider } from './device-key-storage.js';
+import { decodeBase64Url } from './bytes.js';
+import fs from 'fs';
+import { getSecretProvider } from './secrets.js';
+import os from 'os';
+import path from 'path';
+import prompts from 'prompts';
+import { resolveApiBaseUrl } from './api-url.js';
+import tty from 'tty';
+
+// Create a device key provider function for CLI
+function createDeviceKeyProvider() {
+  return async (keyIdOrDeviceId) => {
+    const secrets = await getSecretProvider();
+    const service = 'ident-agency-cli';
+
+    // Try to get device key using the full keyId first (new format)
+    // Format: "device:xxx-xxx:timestamp"
+    let key = `device-key-${keyIdOrDeviceId}`;
+    let deviceKeyB64 = await secrets.get(service, key);
+
+    if (!deviceKeyB64) {
+      throw new Error(`Device key not found for: ${keyIdOrDeviceId}`);
+    }
+
+    // console.log(
+    //   chalk.blue(
+    //     `🔐 Using device key from secure storage (${secrets.type()}): ${key} ${deviceKeyB64}`
+    //   )
+    // );
+
+    return Buffer.from(decodeBase64Url(deviceKeyB64));
+  };
+}
+
+// Create an SSH key provider function for CLI
+function createSSHKeyProvider(customKeyPath, ui) {
+  return async () => {
+    const defaultKeyPath = path.join(os.homedir(), '.ssh', 'id_ed25519');
+    const rsaKeyPath = path.join(os.homedir(), '.ssh', 'id_rsa');
+
+    let keyPath;
+
+    // If custom key path provided via flag, use it
+    if (customKeyPath) {
+      // Expand ~ to home directory if present
+      keyPath = customKeyPath.replace(/^~/, os.homedir());
+
+      if (!fs.existsSync(keyPath)) {
+        console.error(chalk.red(`❌ SSH key not found at: ${keyPath}`));
+        // Fall back to prompting
+        const response = await ui.ask({
+          type: 'text',
+          name: 'keyPath',
+          message: 'Enter path to SSH private key:',
+          initial: defaultKeyPath,
+        });
+        if (!response.keyPath) {
+          throw new Error('SSH key path is required');
+        }
+        keyPath = response.keyPath.replace(/^~/, os.homedir());
+      }
+    } else {
+      // Try default locations
+      keyPath = defaultKeyPath;
+      if (!fs.existsSync(keyPath)) {
+        if (fs.existsSync(rsaKeyPath)) {
+          keyPath = rsaKeyPath;
+        } else {
+          // Prompt for custom path
+          ui.log(chalk.yellow('⚠️  Default SSH keys not found (id_ed25519 or id_rsa)'));
+          const response = await ui.ask({
+            type: 'text',
+            name: 'keyPath',
+            message: 'Enter path to SSH private key:',
+            initial: defaultKeyPath,
+          });
+          if (!response.keyPath) {
+            throw new Error('SSH key path is required');
+          }
+          keyPath = response.keyPath.replace(/^~/, os.homedir());
+        }
+      }
+    }
+
+    // Verify the key exists before trying to read it
+    if (!fs.existsSync(keyPath)) {
+      throw new Error(`SSH key not found at: ${keyPath}`);
+    }
+
+    const privateKey = fs.readFileSync(keyPath, 'utf8');
+
+    let passphrase;
+    if (privateKey.includes('ENCRYPTED')) {
+      const response = await ui.ask({
+        type: 'password',
+        name: 'passphrase',
+        message: `Enter passphrase for SSH key (${path.basename(keyPath)}):`,
+      });
+      passphrase = response.passphrase;
+    }
+
+    return { privateKey, passphrase };
+  };
+}
+
+// Prompts on the controlling terminal with output on stderr, for commands whose
+// stdin and stdout carry a protocol or data (credential helpers, --format output)
+export async function askOnTerminal(questions, options) {
+  let fd;
+  try {
+    fd = fs.openSync('/dev/tty', 'r+');
+  } catch (error) {
+    throw new Error('The vault needs to be unlocked, but there is no terminal to ask on');
+  }
+  const stdin = new tty.ReadStream(fd);
+  try {
+    const withStreams = [].concat(questions).map((q) => ({ ...q, stdin, stdout: process.stderr }));
+    return await prompts(withStreams, options);
+  } finally {
+    stdin.destroy();
+  }
+}
+
+/**
+ * Creates an SDK client for commands that read or write fragments. Sets up the
+ * password, device key and SSH key providers and the unlock method picker, and
+ * applies --timeout, --no-retry, --api-url and --ssh-key.
+ *
+ * @param {object} context - Action context
+ * @param {object} [options]
+ * @param {boolean} [options.reserveStdout] - stdin/stdout belong to a protocol: messages
+ *   go to stderr and prompts to /dev/tty, failing if there is no terminal
+ * @returns {Promise<IdentClient>} A ready client; callers authenticate as needed
+ */
+export async function createClient(context, { reserveStdout = false } = {}) {
+  const ui = reserveStdout
+    ? { log: console.error, ask: askOnTerminal }
+    : { log: console.log, ask: prompts };
+
+  // Create password provider for keychain operations
+  const passwordProvider = {
+    async getPassword(promptText) {
+      // First password entry
+      const response = await ui.ask(
+        {
+          type: 'password',
+          name: 'password',
+          message: promptText,
+          validate: (value) =>
+            value.length >= 8 ? true : 'Password must be at least 8 characters',
+        },
+        {
+          onCancel: () => {
+            ui.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+            process.exit(1);
+          },
+        }
+      );
+
+      if (!response.password) {
+        throw new Error('Password is required for keychain operations');
+      }
+
+      // Confirmation - only if this looks like initial setup (not unlock)
+      if (promptText.toLowerCase().includes('create') || promptText.toLowerCase().includes('new')) {
+        const confirmResponse = await ui.ask(
+          {
+            type: 'password',
+            name: 'password',
+            message: 'Confirm password:',
+            validate: (value) => (value === response.password ? true : 'Passwords do not match'),
+          },
+          {
+            onCancel: () => {
+              ui.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+              process.exit(1);
+            },
+          }
+        );
+
+        if (!confirmResponse.password) {
+          throw new Error('Password confirmation is required');
+        }
+      }
+
+      return response.password;
+    },
+    async getText(promptText) {
+      // Text input (not hidden like password)
+      const response = await ui.ask(
+        {
+          type: 'text',
+          name: 'text',
+          message: promptText,
+        },
+        {
+          onCancel: () => {
+            ui.log(chalk.yellow('\n⚠️  Operation cancelled.'));
+            process.exit(1);
+          },
+        }
+      );
+
+      if (!response.text) {
+        throw new Error('Text input is required');
+      }
+
+      return response.text;
+    },
+  };
+
+  // Parse timeout from --timeout flag (in milliseconds)
+  let timeoutMs;
+  if (context.flags.timeout) {
+    timeoutMs = parseInt(context.flags.timeout, 10);
+    if (isNaN(timeoutMs) || timeoutMs <= 0) {
+      console.error(
+        chalk.red('❌ Invalid timeout value. Must be a positive number in milliseconds.')
+      );
+      process.exit(1);
+    }
+    if (context.flags.debug) {
+      ui.log(chalk.blue(`🔧 API timeout: ${timeoutMs}ms`));
+    }
+  }
+
+  // Parse --no-retry flag (meow converts --no-retry to retry: false)
+  const disableRetries = context.flags.retry === false;
+  if (disableRetries && context.flags.debug) {
+    ui.log(chalk.blue('🔧 API retries disabled'));
+  }
+
+  // Resolve API base URL with fallback logic: flag -> config -> production default
+  const apiBaseUrl = resolveApiBaseUrl(context.flags.apiUrl, context.flags.debug);
+
+  // Create device key storage provider for the SDK
+  const deviceKeyStorageProvider = await createDeviceKeyStorageProvider();
+
+  // Create SDK client instance
+  const sshProvider = createSSHKeyProvider(context.flags.sshKey, ui);
+  if (context.flags.debug) {
+    ui.log(chalk.blue('🔧 SSH Key Provider created:', typeof sshProvider));
+    if (context.flags.sshKey) {
+      ui.log(chalk.blue('🔧 Custom SSH key path:', context.flags.sshKey));
+    }
+  }
+
+  const client = IdentClient.create({
+    apiBaseUrl,
+    clientId: 'ident-cli',
+    scopes: ['user'],
+    passwordProvider,
+    deviceKeyProvider: createDeviceKeyProvider(),
+    deviceKeyStorageProvider,
+    sshKeyProvider: sshProvider,
+    debug: context.flags.debug,
+  });
+
+  // Configure timeout and retry settings if provided
+  const retryOptions = {};
+
+  if (timeoutMs) {
+    retryOptions.timeout = timeoutMs;
+    retryOptions.overallTimeout = Math.max(timeoutMs * 3, 60000); // At least 60 seconds for overall timeout
+  }
+
+  if (disableRetries) {
+    retryOptions.maxRetries = 0;
+  }
+
+  if (Object.keys(retryOptions).length > 0) {
+    client.setRetryOptions(retryOptions);
+  }
+
+  await client.ready();
+
+  // Add unlock method selection handler
+  client.on('unlock_method_selection', async (data) => {
+    const { methods, resolve, reject } = data;
+
+    // Get detailed methods directly instead of trying to work with what the SDK provides
+    let displayMethods = [];
+    try {
+      const detailedMethods = await client.getDetailedUnlockMethods();
+
+      // Build display methods from detailed methods using keyId as unique identifier
+      displayMethods = detailedMethods.map((dm) => {
+        // Build display name based on method type
+        let displayName = dm.method.charAt(0).toUpperCase() + dm.method.slice(1);
+        let detail = '';
+
+        if (dm.method === 'password') {
+          displayName = dm.description || 'Password';
+          if (dm.createdAt) {
+            detail = new Date(dm.createdAt).toLocaleDateString();
+          }
+        } else if (dm.method === 'passkey') {
+          displayName = dm.description || 'Passkey';
+          // Add type and credential info for passkeys
+          if (dm.type === 'passkey-prf') {
+            detail = 'PRF';
+          } else if (dm.type === 'passkey-blob') {
+            detail = 'Large Blob';
+          } else if (dm.type === 'passkey-server') {
+            detail = 'Touch ID';
+          }
+          // Add credential ID to distinguish multiple passkeys
+          if (dm.credentialId) {
+            const shortId = dm.credentialId.substring(0, 8);
+            detail = detail ? `${detail} (${shortId}...)` : `(${shortId}...)`;
+          }
+          if (dm.createdAt) {
+            detail += detail
+              ? `, ${new Date(dm.createdAt).toLocaleDateString()}`
+              : new Date(dm.createdAt).toLocaleDateString();
+          }
+        } else if (dm.method === 'device') {
+          displayName = dm.device?.description || `Device Key`;
+          if (dm.device?.platform) {
+            detail = dm.device.platform;
+          }
+          if (dm.createdAt) {
+            detail += detail
+              ? `, ${new Date(dm.createdAt).toLocaleDateString()}`
+              : new Date(dm.createdAt).toLocaleDateString();
+          }
+        } else if (dm.method === 'recovery') {
+          displayName = 'Recovery Phrase';
+          if (dm.createdAt) {
+            detail = new Date(dm.createdAt).toLocaleDateString();
+          }
+        } else if (dm.method === 'ssh') {
+          displayName = 'SSH Key';
+          if (dm.createdAt) {
+            detail = new Date(dm.createdAt).toLocaleDateString();
+          }
+        }
+
+        return {
+          id: dm.keyId, // Use keyId as the unique identifier
+          displayName,
+          detail: detail || undefined,
+        };
+      });
+    } catch (err) {
+      // Fall back to SDK-provided methods if we can't get detailed methods
+      displayMethods = methods;
+    }
+
+    ui.log(chalk.blue('🔐 Multiple unlock methods available. Choose one:'));
+    displayMethods.forEach((method, index) => {
+      const displayText = method.detail
+        ? `${method.displayName} ${chalk.gray(`(${method.detail})`)}`
+        : method.displayName;
+      ui.log(chalk.white(`   ${index + 1}. ${displayText}`));
+    });
+
+    ui.ask({
+      type: 'number',
+      name: 'choice',
+      message: `Select unlock method (1-${displayMethods.length}):`,
+      min: 1,
+      max: displayMethods.length,
+      validate: (value) => {
+        if (!value || value < 1 || value > displayMethods.length) {
+          return `Please enter a number between 1 and ${displayMethods.length}`;
+        }
+        return true;
+      },
+    })
+      .then((response) => {
+        if (!response.choice) {
+          reject(new Error('No unlock method selected'));
+        } else {
+          const selectedMethod = displayMethods[response.choice - 1];
+          ui.log(chalk.white(`✅ Selected: ${selectedMethod.displayName}`));
+          resolve(selectedMethod.id);
+        }
+      })
+      .catch((error) => {
+        reject(error);
+      });
+  });
+
+  return client;
+}
@@ -0,0 +1,135 @@
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const formatKey = (base, key) =>
+  typeof key === 'number'
+    ? `${base}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${base}.${key}`
+    : `${base}[${JSON.stringify(key)}]`;
+
+/**
+ * Structural diff of two JSON values.
+ * Objects are compared key by key and arrays index by index; anything else is
+ * compared by value.
+ *
+ * @param {*} from - Old value
+ * @param {*} to - New value
+ * @param {string} [base=''] - Path prefix used when recursing
+ * @returns {Array<{op: 'added'|'removed'|'changed', path: string, from?: *, to?: *}>}
+ */
+export function diffJson(from, to, base = '') {
+  const changes = [];
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+    for (const key of keys) {
+      const keyPath = formatKey(base, key);
+      if (!(key in to)) {
+        changes.push({ op: 'removed', path: keyPath, from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ op: 'added', path: keyPath, to: to[key] });
+      } else {
+        changes.push(...diffJson(from[key], to[key], keyPath));
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const length = Math.max(from.length, to.length);
+    for (let i = 0; i < length; i++) {
+      const keyPath = formatKey(base, i);
+      if (i >= to.length) {
+        changes.push({ op: 'removed', path: keyPath, from: from[i] });
+      } else if (i >= from.length) {
+        changes.push({ op: 'added', path: keyPath, to: to[i] });
+      } else {
+        changes.push(...diffJson(from[i], to[i], keyPath));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ op: 'changed', path: base || '.', from, to });
+  }
+  return changes;
+}
+
+// Longest-common-subsequence edit script over two arrays of lines
+function editScript(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], i: i++, j: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i], i: i++, j });
+    } else {
+      ops.push({ type: '+', line: b[j], i, j: j++ });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i], i: i++, j });
+  while (j < b.length) ops.push({ type: '+', line: b[j], i, j: j++ });
+  return ops;
+}
+
+/**
+ * Unified diff of two strings
+ *
+ * @param {string} from - Old text
+ * @param {string} to - New text
+ * @param {object} [options]
+ * @param {string} [options.fromLabel='a'] - Label for the --- header
+ * @param {string} [options.toLabel='b'] - Label for the +++ header
+ * @param {number} [options.context=3] - Lines of context around each change
+ * @returns {string[]} Diff lines, empty when the texts are equal
+ */
+export function diffText(from, to, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  if (from === to) return [];
+
+  const ops = editScript(from.split('\n'), to.split('\n'));
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+  let index = 0;
+  while (index < ops.length) {
+    // Find the next change and open a hunk around it
+    while (index < ops.length && ops[index].type === ' ') index++;
+    if (index >= ops.length) break;
+
+    const start = Math.max(0, index - context);
+    let end = index;
+    // Extend the hunk while changes are within 2 * context lines of each other
+    for (let k = index; k < ops.length; k++) {
+      if (ops[k].type !== ' ') {
+        end = k;
+      } else if (k - end > context * 2) {
+        break;
+      }
+    }
+    end = Math.min(ops.length - 1, end + context);
+
+    const hunk = ops.slice(start, end + 1);
+    const fromCount = hunk.filter((op) => op.type !== '+').length;
+    const toCount = hunk.filter((op) => op.type !== '-').length;
+    const fromStart = hunk[0].i + (fromCount ? 1 : 0);
+    const toStart = hunk[0].j + (toCount ? 1 : 0);
+    lines.push(`@@ -${fromStart},${fromCount} +${toStart},${toCount} @@`);
+    for (const op of hunk) {
+      lines.push(`${op.type}${op.line}`);
+    }
+
+    index = end + 1;
+  }
+
+  return lines;
+}
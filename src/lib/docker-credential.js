@@ -0,0 +1,49 @@
+// Docker's credential helper protocol (docker/docker-credential-helpers):
+// store reads { ServerURL, Username, Secret } as JSON, get and erase read a bare
+// server URL, list prints { [ServerURL]: Username }.
+
+export const DOCKER_CREDENTIAL_ROOT = 'credentials/docker/';
+
+// Docker matches this exact message to tell "no credentials" apart from a failure
+export const DOCKER_NOT_FOUND = 'credentials not found in native keychain';
+
+/**
+ * Returns the fragment path for a registry, e.g. "ghcr.io" ->
+ * "credentials/docker/ghcr.io" and "https://index.docker.io/v1/" ->
+ * "credentials/docker/index.docker.io/v1"
+ *
+ * @param {string} serverUrl - Registry as Docker names it
+ * @returns {string}
+ */
+export function dockerCredentialPath(serverUrl) {
+  const registry = String(serverUrl)
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .replace(/\/+$/, '');
+  if (!registry) {
+    throw new Error('Docker sent no server URL');
+  }
+  return `${DOCKER_CREDENTIAL_ROOT}${registry}`;
+}
+
+/**
+ * Parses the JSON Docker sends to `store`
+ * @param {string} text - Helper input
+ * @returns {{ServerURL: string, Username: string, Secret: string}}
+ */
+export function parseDockerCredential(text) {
+  let credential;
+  try {
+    credential = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Expected credentials as JSON: ${error.message}`);
+  }
+  if (!credential?.ServerURL || typeof credential.Secret !== 'string') {
+    throw new Error('Credentials need ServerURL and Secret');
+  }
+  return {
+    ServerURL: credential.ServerURL,
+    Username: credential.Username || '',
+    Secret: credential.Secret,
+  };
+}
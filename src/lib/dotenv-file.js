@@ -0,0 +1,152 @@
+import dotenv from 'dotenv';
+
+// Reads and writes .env files for `fragment dotenv`, keeping comments (inline ones
+// too), blank lines, quotes, `export` prefixes and key order so a pull gives back the
+// file that was pushed. Values are parsed with dotenv itself, so quoting and
+// multi-line values behave as they do at runtime.
+
+// Stored next to the values as PREFIX/_dotenv, with the value { lines } and no secrets
+export const DOTENV_MANIFEST = '_dotenv';
+
+const ENTRY = /^\s*(export\s+)?([\w.-]+)\s*=\s*(.*)$/;
+
+// Whether a value that starts with a quote also ends on this line
+function isClosed(rawValue) {
+  const quote = rawValue[0];
+  if (!['"', "'", '`'].includes(quote)) {
+    return true;
+  }
+  return rawValue.indexOf(quote, 1) !== -1;
+}
+
+// The inline "# comment" after a value, with the spaces before it, or undefined
+function inlineComment(rawValue) {
+  const quote = rawValue[0];
+  const afterValue = ['"', "'", '`'].includes(quote)
+    ? rawValue.slice(rawValue.indexOf(quote, 1) + 1)
+    : rawValue;
+  return afterValue.match(/\s*#.*$/)?.[0].trimEnd();
+}
+
+/**
+ * Splits a .env file into comments, blank lines and entries
+ *
+ * @param {string} text - File contents
+ * @returns {Array<{type: 'comment'|'blank'|'entry', text?: string, key?: string,
+ *   value?: string, exported?: boolean, quote?: string, comment?: string}>} `exported`
+ *   marks an "export KEY=..." line, `quote` the quote around the value and `comment` an
+ *   inline comment after it
+ * @throws {Error} On a line that isn't a comment or KEY=value, a key set twice, or
+ *   the reserved key _dotenv
+ */
+export function parseDotenvFile(text) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  const result = [];
+  const seen = new Map();
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '') {
+      result.push({ type: 'blank' });
+      continue;
+    }
+    if (line.trim().startsWith('#')) {
+      result.push({ type: 'comment', text: line });
+      continue;
+    }
+
+    const match = line.match(ENTRY);
+    if (!match) {
+      throw new Error(`Line ${i + 1}: expected KEY=value or a # comment`);
+    }
+    const [, exported, key, rawValue] = match;
+    if (key === DOTENV_MANIFEST) {
+      throw new Error(`Line ${i + 1}: ${key} is reserved for the file layout, rename the key`);
+    }
+    const start = i;
+    let chunk = line;
+    if (!isClosed(rawValue)) {
+      const quote = rawValue[0];
+      while (i + 1 < lines.length) {
+        i++;
+        chunk += `\n${lines[i]}`;
+        if (lines[i].includes(quote)) {
+          break;
+        }
+      }
+    }
+    if (seen.has(key)) {
+      throw new Error(`Line ${start + 1}: ${key} is already set on line ${seen.get(key)}`);
+    }
+    seen.set(key, start + 1);
+    const entry = { type: 'entry', key, value: dotenv.parse(chunk)[key] ?? '' };
+    if (exported) {
+      entry.exported = true;
+    }
+    if (['"', "'", '`'].includes(rawValue[0])) {
+      entry.quote = rawValue[0];
+    }
+    const comment = inlineComment(rawValue + chunk.slice(line.length));
+    if (comment) {
+      entry.comment = comment;
+    }
+    result.push(entry);
+  }
+  return result;
+}
+
+// Quotes a value so dotenv reads it back unchanged, with the quote it had if still safe
+function quoteValue(value, preferred) {
+  if (!preferred && /^[^\s#"'`\\]*$/.test(value)) {
+    return value;
+  }
+  for (const quote of [preferred, "'", '`', '"'].filter(Boolean)) {
+    // Double quotes expand \n, so they're only safe without backslashes
+    if (!value.includes(quote) && (quote !== '"' || !value.includes('\\'))) {
+      return `${quote}${value}${quote}`;
+    }
+  }
+  throw new Error('Value contains every kind of quote and cannot be written to a .env file');
+}
+
+/**
+ * Writes a .env file
+ *
+ * @param {Array<object>} lines - Layout from parseDotenvFile or a manifest; entry values
+ *   are ignored in favour of `values`
+ * @param {Object<string, string>} values - Value for every key
+ * @returns {string}
+ */
+export function formatDotenvFile(lines, values) {
+  const output = lines.map((line) => {
+    if (line.type === 'comment') {
+      return line.text;
+    }
+    if (line.type === 'blank') {
+      return '';
+    }
+    try {
+      const value = quoteValue(values[line.key], line.quote);
+      return `${line.exported ? 'export ' : ''}${line.key}=${value}${line.comment || ''}`;
+    } catch (error) {
+      throw new Error(`${line.key}: ${error.message}`);
+    }
+  });
+  return `${output.join('\n')}\n`;
+}
+
+/**
+ * Drops the values from a parsed file, leaving what's stored in the manifest
+ * @param {Array<object>} lines - From parseDotenvFile
+ * @returns {Array<object>}
+ */
+export function toManifest(lines) {
+  return lines.map((line) => {
+    if (line.type !== 'entry') {
+      return line;
+    }
+    const layout = { ...line };
+    delete layout.value;
+    return layout;
+  });
+}
@@ -0,0 +1,133 @@
+import YAML from 'yaml';
+import toml from '@iarna/toml';
+
+export const OUTPUT_FORMATS = ['json', 'yaml', 'toml', 'env', 'table'];
+
+/**
+ * Reads --format (or the --json shorthand) from the command flags
+ *
+ * @param {object} flags - Parsed CLI flags
+ * @returns {string|undefined} One of OUTPUT_FORMATS, or undefined for the default decorated output
+ */
+export function getOutputFormat(flags) {
+  const format = flags.format ?? (flags.json ? 'json' : undefined);
+  if (format === undefined) {
+    return undefined;
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}": use one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+// TOML has no null and needs a table at the top level
+function toTomlDocument(data) {
+  const strip = (value) => {
+    if (Array.isArray(value)) {
+      return value.filter((v) => v !== null && v !== undefined).map(strip);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([, v]) => v !== null && v !== undefined)
+          .map(([k, v]) => [k, strip(v)])
+      );
+    }
+    return value;
+  };
+  if (Array.isArray(data)) {
+    return { items: strip(data) };
+  }
+  return data && typeof data === 'object' ? strip(data) : { value: data };
+}
+
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}_${key}` : key, out);
+    }
+  } else {
+    out.push([prefix || 'value', value]);
+  }
+  return out;
+}
+
+function envKey(key) {
+  const name = key.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+function envValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/^[\w@%+=:,./-]*$/.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function cell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function renderTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => cell(r[i]).length)));
+  const line = (columns) =>
+    columns
+      .map((col, i) => (i === columns.length - 1 ? cell(col) : cell(col).padEnd(widths[i] + 2)))
+      .join('')
+      .trimEnd();
+  return [line(header.map((h) => h.toUpperCase())), ...rows.map(line)].join('\n');
+}
+
+function toTable(data) {
+  if (Array.isArray(data)) {
+    if (data.every((item) => item && typeof item === 'object' && !Array.isArray(item))) {
+      const columns = [...new Set(data.flatMap((item) => Object.keys(item)))];
+      return renderTable(
+        columns,
+        data.map((item) => columns.map((column) => item[column]))
+      );
+    }
+    return renderTable(
+      ['value'],
+      data.map((item) => [item])
+    );
+  }
+  if (data && typeof data === 'object') {
+    return renderTable(['key', 'value'], Object.entries(data));
+  }
+  return cell(data);
+}
+
+/**
+ * Serializes command output in the requested format
+ *
+ * @param {*} data - Plain JSON-compatible data
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} Output without a trailing newline
+ */
+export function formatOutput(data, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'yaml':
+      return YAML.stringify(data).trimEnd();
+    case 'toml':
+      try {
+        return toml.stringify(toTomlDocument(data)).trimEnd();
+      } catch (error) {
+        throw new Error(`Can't write this value as TOML: ${error.message}`);
+      }
+    case 'env':
+      return flatten(data, '', [])
+        .map(([key, value]) => `${envKey(key)}=${envValue(value)}`)
+        .join('\n');
+    case 'table':
+      return toTable(data);
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+}
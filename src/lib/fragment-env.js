@@ -0,0 +1,111 @@
+import { runQuery } from './query.js';
+
+// Maps environment variable names to fragment values for `identa run`. An assignment
+// is either a reference or a literal:
+//
+//   DB_URL=fragment:config/db#url     field of a JSON fragment (any --query expression)
+//   API_KEY=fragment:config/api-key   whole fragment (objects become JSON)
+//   LOG_LEVEL=debug                   passed through as-is
+
+export const FRAGMENT_REF = 'fragment:';
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parses one NAME=VALUE assignment
+ *
+ * @param {string} text - e.g. "DB_URL=fragment:config/db#url"
+ * @returns {{name: string, path?: string, field?: string, value?: string}} `path` is set
+ *   for fragment references, `value` for literals
+ */
+export function parseEnvAssignment(text) {
+  const eq = text.indexOf('=');
+  const name = eq === -1 ? text : text.slice(0, eq);
+  if (eq === -1 || !ENV_NAME.test(name)) {
+    throw new Error(`Invalid assignment "${text}": expected NAME=fragment:PATH[#FIELD]`);
+  }
+  const value = text.slice(eq + 1);
+  if (!value.startsWith(FRAGMENT_REF)) {
+    return { name, value };
+  }
+
+  const ref = value.slice(FRAGMENT_REF.length);
+  const hash = ref.indexOf('#');
+  const path = hash === -1 ? ref : ref.slice(0, hash);
+  const field = hash === -1 ? undefined : ref.slice(hash + 1);
+  if (!path || field === '') {
+    throw new Error(`Invalid fragment reference in "${text}"`);
+  }
+  return { name, path, field };
+}
+
+/**
+ * Parses an env manifest: one assignment per line, blank lines and # comments ignored,
+ * an optional leading "export" and quotes around literals allowed
+ *
+ * @param {string} text - File contents
+ * @returns {Array<object>} Assignments as returned by parseEnvAssignment
+ */
+export function parseEnvFile(text) {
+  const assignments = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim().replace(/^export\s+/, '');
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    try {
+      const assignment = parseEnvAssignment(line.replace(/=(["'])(.*)\1$/, '=$2'));
+      assignments.push(assignment);
+    } catch (error) {
+      throw new Error(`Line ${i + 1}: ${error.message}`);
+    }
+  });
+  return assignments;
+}
+
+/**
+ * Converts a fragment value (or one field of it) to an environment variable value
+ *
+ * @param {*} value - Decrypted fragment value
+ * @param {string} [field] - Query expression, e.g. "url" or ".db.hosts[0]"
+ * @returns {string|undefined} undefined if the field doesn't exist
+ */
+export function toEnvValue(value, field) {
+  const selected = field === undefined ? value : runQuery(value, field)[0];
+  if (selected === undefined || selected === null) {
+    return undefined;
+  }
+  return typeof selected === 'string' ? selected : JSON.stringify(selected);
+}
+
+/**
+ * Resolves assignments to variable values, fetching each fragment once
+ *
+ * @param {Array<object>} assignments - From parseEnvAssignment/parseEnvFile; later
+ *   assignments to the same name win
+ * @param {Function} getFragment - async (path) => value, or null if it doesn't exist
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function resolveEnv(assignments, getFragment) {
+  const fragments = new Map();
+  const env = {};
+  for (const { name, path, field, value } of assignments) {
+    if (path === undefined) {
+      env[name] = value;
+      continue;
+    }
+    if (!fragments.has(path)) {
+      fragments.set(path, await getFragment(path));
+    }
+    const fragment = fragments.get(path);
+    if (fragment === null || fragment === undefined) {
+      throw new Error(`${name}: fragment not found: ${path}`);
+    }
+    const resolved = toEnvValue(fragment, field);
+    if (resolved === undefined) {
+      throw new Error(`${name}: ${path} has no field ${field}`);
+    }
+    env[name] = resolved;
+  }
+  return env;
+}
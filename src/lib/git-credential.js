@@ -0,0 +1,90 @@
+// git's credential helper protocol (see `git help credential`): key=value lines
+// on stdin and stdout, ending at a blank line or EOF.
+
+export const GIT_CREDENTIAL_ROOT = 'credentials/git/';
+
+// Attributes worth keeping; everything else git sends is per-request
+const STORED_KEYS = [
+  'protocol',
+  'host',
+  'path',
+  'username',
+  'password',
+  'password_expiry_utc',
+  'oauth_refresh_token',
+];
+
+/**
+ * Parses a credential description from git
+ * @param {string} text - Helper input
+ * @returns {Object<string, string>} Attributes; multi-valued ones (`key[]`) are skipped
+ */
+export function parseCredential(text) {
+  const credential = {};
+  for (const line of text.split(/\r?\n/)) {
+    if (line === '') {
+      break;
+    }
+    const eq = line.indexOf('=');
+    if (eq === -1) {
+      continue;
+    }
+    const key = line.slice(0, eq);
+    if (!key.endsWith('[]')) {
+      credential[key] = line.slice(eq + 1);
+    }
+  }
+  if (credential.url && !credential.host) {
+    // Newer git may send only url=; split it the way git would
+    const url = new URL(credential.url);
+    credential.protocol = url.protocol.replace(/:$/, '');
+    credential.host = url.host;
+    if (url.pathname.length > 1) {
+      credential.path = url.pathname.slice(1);
+    }
+  }
+  return credential;
+}
+
+/**
+ * Formats attributes for git
+ * @param {Object<string, string>} credential
+ * @returns {string}
+ */
+export function formatCredential(credential) {
+  return STORED_KEYS.filter((key) => credential[key] !== undefined && credential[key] !== '')
+    .map((key) => `${key}=${credential[key]}`)
+    .join('\n')
+    .concat('\n');
+}
+
+/**
+ * Picks the attributes to store
+ * @param {Object<string, string>} credential
+ * @returns {Object<string, string>}
+ */
+export function toStoredCredential(credential) {
+  return Object.fromEntries(
+    STORED_KEYS.filter((key) => credential[key] !== undefined).map((key) => [key, credential[key]])
+  );
+}
+
+/**
+ * Returns the fragment path for a credential: https hosts go straight under the
+ * root ("credentials/git/github.com"), other protocols get their own level
+ * ("credentials/git/http/intranet"), and the repository path is added when git
+ * sends one (credential.useHttpPath)
+ *
+ * @param {Object<string, string>} credential - Needs at least host
+ * @returns {string}
+ */
+export function gitCredentialPath({ protocol = 'https', host, path }) {
+  if (!host) {
+    throw new Error('git sent no host');
+  }
+  const parts = protocol === 'https' ? [host] : [protocol, host];
+  if (path) {
+    parts.push(path.replace(/^\/+|\/+$/g, ''));
+  }
+  return `${GIT_CREDENTIAL_ROOT}${parts.join('/')}`;
+}
@@ -0,0 +1,211 @@
+// RFC 7396 JSON Merge Patch and RFC 6902 JSON Patch, applied to plain JSON values.
+// Neither function mutates its input.
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Applies an RFC 7396 merge patch: objects are merged key by key, null removes
+ * a key, anything else replaces the target
+ *
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} The patched value
+ */
+export function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Splits an RFC 6901 JSON Pointer into unescaped tokens
+ * @param {string} pointer - e.g. "/servers/0/host"
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer "${pointer}": must start with "/"`);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, token, pointer, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}" in ${pointer}`);
+  }
+  const index = parseInt(token, 10);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index out of range in ${pointer}`);
+  }
+  return index;
+}
+
+// Returns the container holding the pointer's last token, plus that token
+function resolveParent(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  const last = tokens.pop();
+  let node = doc;
+  for (const token of tokens) {
+    if (Array.isArray(node)) {
+      node = node[arrayIndex(node, token, pointer, false)];
+    } else if (isObject(node) && Object.hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+  }
+  if (node === null || typeof node !== 'object') {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  return { parent: node, key: last };
+}
+
+function getAt(doc, pointer) {
+  if (pointer === '') {
+    return doc;
+  }
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, pointer, false)];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  return parent[key];
+}
+
+function removeAt(doc, pointer) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+function addAt(doc, pointer, value) {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+/**
+ * Applies an RFC 6902 JSON Patch. Operations run in order and the whole patch
+ * fails if any operation (including "test") fails.
+ *
+ * @param {*} doc - Current value
+ * @param {Array<{op: string, path: string, value?: *, from?: string}>} operations
+ * @returns {*} The patched value
+ */
+export function applyJsonPatch(doc, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('JSON Patch must be an array of operations');
+  }
+
+  let result = clone(doc);
+  operations.forEach((operation, i) => {
+    const where = `operation ${i} (${operation?.op})`;
+    if (!isObject(operation) || typeof operation.path !== 'string') {
+      throw new Error(`Invalid ${where}: needs "op" and "path"`);
+    }
+    const { op, path } = operation;
+    try {
+      switch (op) {
+        case 'add':
+          result = addAt(result, path, clone(operation.value));
+          break;
+        case 'remove':
+          if (path === '') {
+            throw new Error('Cannot remove the whole value');
+          }
+          removeAt(result, path);
+          break;
+        case 'replace':
+          getAt(result, path);
+          if (path === '') {
+            result = clone(operation.value);
+          } else {
+            removeAt(result, path);
+            result = addAt(result, path, clone(operation.value));
+          }
+          break;
+        case 'move': {
+          if (path.startsWith(`${operation.from}/`)) {
+            throw new Error('Cannot move a value into itself');
+          }
+          const value = operation.from === '' ? result : removeAt(result, operation.from);
+          result = addAt(result, path, value);
+          break;
+        }
+        case 'copy':
+          result = addAt(result, path, clone(getAt(result, operation.from)));
+          break;
+        case 'test':
+          if (JSON.stringify(getAt(result, path)) !== JSON.stringify(operation.value)) {
+            throw new Error(`Test failed at ${path}`);
+          }
+          break;
+        default:
+          throw new Error(`Unknown op "${op}"`);
+      }
+    } catch (error) {
+      throw new Error(`JSON Patch ${where} failed: ${error.message}`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Applies a patch, picking the format from its shape: an array is a JSON Patch,
+ * anything else a merge patch
+ *
+ * @param {*} value - Current value
+ * @param {*} patch - Parsed patch document
+ * @param {'merge'|'json-patch'} [type] - Force a format
+ * @returns {{type: string, value: *}}
+ */
+export function applyPatch(value, patch, type) {
+  const patchType = type || (Array.isArray(patch) ? 'json-patch' : 'merge');
+  if (patchType === 'json-patch') {
+    return { type: patchType, value: applyJsonPatch(value, patch) };
+  }
+  if (patchType === 'merge') {
+    return { type: patchType, value: applyMergePatch(value, patch) };
+  }
+  throw new Error(`Unknown patch type "${type}": use merge or json-patch`);
+}
@@ -0,0 +1,104 @@
+import { decodeBase64Url, encodeBase64Url } from './bytes.js';
+
+import path from 'path';
+
+// Binary payloads are stored as a base64url string; these meta fields say how to decode it
+const CONTENT_TYPE_FIELD = 'contentType';
+const ENCODING_FIELD = 'encoding';
+const BINARY_ENCODING = 'base64url';
+
+const CONTENT_TYPES = {
+  '.cer': 'application/pkix-cert',
+  '.crt': 'application/x-x509-ca-cert',
+  '.der': 'application/x-x509-ca-cert',
+  '.gif': 'image/gif',
+  '.gz': 'application/gzip',
+  '.jks': 'application/x-java-keystore',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.p12': 'application/x-pkcs12',
+  '.pdf': 'application/pdf',
+  '.pem': 'application/x-pem-file',
+  '.pfx': 'application/x-pkcs12',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+};
+
+/**
+ * Guesses a content type from a file name
+ * @param {string} [filename] - File name or path
+ * @returns {string} The content type, application/octet-stream when unknown
+ */
+export function guessContentType(filename) {
+  const ext = filename ? path.extname(filename).toLowerCase() : '';
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * Checks whether bytes decode as UTF-8 text without loss
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {boolean}
+ */
+export function isUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return !bytes.includes(0);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads a named entry from meta.fields
+ * @param {object} [meta] - Fragment meta
+ * @param {string} key - Field name
+ * @returns {string|undefined}
+ */
+export function getMetaField(meta, key) {
+  return (meta?.fields || []).find((field) => field.key === key)?.value;
+}
+
+/**
+ * Encodes bytes as a fragment value plus the meta fields that describe it
+ *
+ * @param {Uint8Array} bytes - Raw bytes
+ * @param {string} contentType - MIME type to record
+ * @returns {{data: string, fields: Array<{key: string, value: string}>}}
+ */
+export function encodeBinaryPayload(bytes, contentType) {
+  return {
+    data: encodeBase64Url(bytes),
+    fields: [
+      { key: CONTENT_TYPE_FIELD, value: contentType },
+      { key: ENCODING_FIELD, value: BINARY_ENCODING },
+    ],
+  };
+}
+
+/**
+ * Returns the binary description of a fragment, or null for ordinary JSON/string fragments
+ * @param {object} [meta] - Fragment meta
+ * @returns {{contentType: string}|null}
+ */
+export function getBinaryInfo(meta) {
+  if (getMetaField(meta, ENCODING_FIELD) !== BINARY_ENCODING) {
+    return null;
+  }
+  return { contentType: getMetaField(meta, CONTENT_TYPE_FIELD) || 'application/octet-stream' };
+}
+
+/**
+ * Decodes a binary fragment value back to its original bytes
+ * @param {string} data - Stored base64url value
+ * @returns {Buffer}
+ */
+export function decodeBinaryPayload(data) {
+  if (typeof data !== 'string') {
+    throw new Error('Binary fragment value is not a base64url string');
+  }
+  return Buffer.from(decodeBase64Url(data));
+}
@@ -0,0 +1,30 @@
+/**
+ * Maps over items with at most `concurrency` calls in flight. Results keep the
+ * order of `items`.
+ *
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Maximum number of pending calls
+ * @param {Function} fn - async (item, index) => result
+ * @param {Function} [onProgress] - Called with (done, total) after each item
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, concurrency, fn, onProgress) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      done++;
+      if (onProgress) {
+        onProgress(done, items.length);
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,141 @@
+// A small path language for picking values out of fragments. It accepts the
+// common subset of jq and JSONPath:
+//
+//   .a.b  .a[0]  .a[-1]  .["a-b"]  .a[]  .a.*     (jq style)
+//   $.a.b  $['a-b']  $.a[*]  $..password          (JSONPath style)
+//
+// A bare name ("password") is read as ".password".
+
+const IDENTIFIER = /^[A-Za-z0-9_$-]+/;
+
+function parseBracket(expr, start) {
+  const end = expr.indexOf(']', start);
+  if (end === -1) {
+    throw new Error(`Unclosed "[" at position ${start}`);
+  }
+  const inner = expr.slice(start + 1, end).trim();
+  const next = end + 1;
+
+  if (inner === '' || inner === '*') {
+    return { step: { type: 'all' }, next };
+  }
+  if (/^-?\d+$/.test(inner)) {
+    return { step: { type: 'index', index: parseInt(inner, 10) }, next };
+  }
+  const quoted = inner.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return { step: { type: 'key', key: quoted[2] }, next };
+  }
+  throw new Error(`Unsupported selector "[${inner}]"`);
+}
+
+function parseName(expr, start) {
+  if (expr[start] === '*') {
+    return { step: { type: 'all' }, next: start + 1 };
+  }
+  if (expr[start] === '[') {
+    return parseBracket(expr, start);
+  }
+  const match = expr.slice(start).match(IDENTIFIER);
+  if (!match) {
+    throw new Error(`Expected a field name at position ${start}`);
+  }
+  return { step: { type: 'key', key: match[0] }, next: start + match[0].length };
+}
+
+/**
+ * Parses a query into a list of steps
+ * @param {string} expression - jq-like or JSONPath expression
+ * @returns {Array<{type: string, key?: string, index?: number, recursive?: boolean}>}
+ */
+export function parseQuery(expression) {
+  let expr = String(expression).trim();
+  if (expr.startsWith('$')) {
+    expr = expr.slice(1);
+  } else if (expr && !expr.startsWith('.') && !expr.startsWith('[')) {
+    expr = `.${expr}`;
+  }
+
+  const steps = [];
+  let i = 0;
+  while (i < expr.length) {
+    let parsed;
+    if (expr.startsWith('..', i)) {
+      parsed = parseName(expr, i + 2);
+      parsed.step.recursive = true;
+    } else if (expr[i] === '.') {
+      if (i === expr.length - 1) {
+        // "." on its own is the whole value
+        break;
+      }
+      parsed = parseName(expr, i + 1);
+    } else if (expr[i] === '[') {
+      parsed = parseBracket(expr, i);
+    } else {
+      throw new Error(`Unexpected "${expr[i]}" at position ${i}`);
+    }
+    steps.push(parsed.step);
+    i = parsed.next;
+  }
+  return steps;
+}
+
+function descendants(node) {
+  const nodes = [node];
+  if (node && typeof node === 'object') {
+    for (const child of Object.values(node)) {
+      nodes.push(...descendants(child));
+    }
+  }
+  return nodes;
+}
+
+function applyStep(node, step) {
+  if (node === null || typeof node !== 'object') {
+    return [];
+  }
+  switch (step.type) {
+    case 'all':
+      return Object.values(node);
+    case 'index': {
+      if (!Array.isArray(node)) {
+        return [];
+      }
+      const index = step.index < 0 ? node.length + step.index : step.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case 'key':
+      return !Array.isArray(node) && Object.hasOwn(node, step.key) ? [node[step.key]] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Runs a query against a value
+ *
+ * @param {*} value - Decoded fragment value
+ * @param {string} expression - jq-like or JSONPath expression
+ * @returns {Array<*>} Every matching value, in document order (empty if nothing matched)
+ */
+export function runQuery(value, expression) {
+  let nodes = [value];
+  for (const step of parseQuery(expression)) {
+    const sources = step.recursive ? nodes.flatMap(descendants) : nodes;
+    nodes = sources.flatMap((node) => applyStep(node, step));
+  }
+  return nodes;
+}
+
+/**
+ * Formats a query result for stdout
+ * @param {*} value - Result value
+ * @param {boolean} [rawOutput] - Print strings without JSON quotes
+ * @returns {string}
+ */
+export function formatQueryResult(value, rawOutput = false) {
+  if (rawOutput && typeof value === 'string') {
+    return value;
+  }
+  return JSON.stringify(value, null, 2);
+}
@@ -0,0 +1,97 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { normalizePrefix } from './sync.js';
+
+// Schemas are fragments themselves: the schema for "config/services/" lives at
+// "_schemas/config/services" with the value { prefix, schema }.
+export const SCHEMA_ROOT = '_schemas/';
+
+function createValidator() {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+}
+
+/**
+ * Returns the fragment path a prefix's schema is stored at
+ * @param {string} prefix - Path prefix, with or without the trailing slash
+ * @returns {string}
+ */
+export function schemaPathFor(prefix) {
+  return `${SCHEMA_ROOT}${normalizePrefix(prefix).slice(0, -1)}`;
+}
+
+/**
+ * Tells whether the schema stored at a path covers a fragment path (inverse of
+ * schemaPathFor), so only the schemas that apply need to be fetched
+ *
+ * @param {string} schemaPath - e.g. "_schemas/config/services"
+ * @param {string} fragmentPath - Path being written
+ * @returns {boolean}
+ */
+export function schemaCovers(schemaPath, fragmentPath) {
+  return fragmentPath.startsWith(`${schemaPath.slice(SCHEMA_ROOT.length)}/`);
+}
+
+/**
+ * Compiles a JSON Schema, throwing a readable error if the schema itself is invalid
+ * @param {object} schema - JSON Schema document
+ * @returns {Function} Ajv validate function
+ */
+export function compileSchema(schema) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be a JSON object');
+  }
+  try {
+    return createValidator().compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid JSON Schema: ${error.message}`);
+  }
+}
+
+/**
+ * Turns Ajv errors into "/path: message" lines
+ * @param {Array<object>} errors - validate.errors
+ * @returns {string[]}
+ */
+export function formatSchemaErrors(errors = []) {
+  return errors.map((error) => {
+    let message = error.message;
+    if (error.keyword === 'additionalProperties') {
+      message += ` (${error.params.additionalProperty})`;
+    } else if (error.keyword === 'enum') {
+      message += `: ${error.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}`;
+    }
+    return `${error.instancePath || '/'}: ${message}`;
+  });
+}
+
+/**
+ * Compiles the stored schema fragments ({ prefix, schema } values)
+ *
+ * @param {Array<object>} entries - Decoded schema fragment values
+ * @returns {Array<{prefix: string, validate: Function}>}
+ */
+export function compileSchemaEntries(entries) {
+  return entries
+    .filter((entry) => entry && typeof entry.prefix === 'string' && entry.schema)
+    .map((entry) => ({ prefix: entry.prefix, validate: compileSchema(entry.schema) }));
+}
+
+/**
+ * Validates a value against every schema whose prefix covers the path
+ *
+ * @param {Array<{prefix: string, validate: Function}>} schemas - Compiled schemas
+ * @param {string} fragmentPath - Path being written
+ * @param {*} value - Value being written
+ * @returns {Array<{prefix: string, errors: string[]}>} One entry per failing schema
+ */
+export function findSchemaViolations(schemas, fragmentPath, value) {
+  if (fragmentPath.startsWith(SCHEMA_ROOT)) {
+    return [];
+  }
+  return schemas
+    .filter(({ prefix }) => fragmentPath.startsWith(prefix))
+    .filter(({ validate }) => !validate(value))
+    .map(({ prefix, validate }) => ({ prefix, errors: formatSchemaErrors(validate.errors) }));
+}
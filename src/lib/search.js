@@ -0,0 +1,111 @@
+// Matching for `fragment search`. Runs entirely on decrypted values in this
+// process; nothing about the pattern is sent to the server.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the matcher for a search pattern
+ *
+ * @param {string} pattern - Literal text, or a regular expression with `regex`
+ * @param {object} [options]
+ * @param {boolean} [options.regex] - Treat the pattern as a regular expression
+ * @param {boolean} [options.ignoreCase] - Case-insensitive matching
+ * @returns {RegExp}
+ */
+export function createMatcher(pattern, { regex = false, ignoreCase = false } = {}) {
+  try {
+    return new RegExp(regex ? pattern : escapeRegExp(pattern), ignoreCase ? 'i' : '');
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+function keyPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$-]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Finds every match of a matcher in a fragment value
+ *
+ * @param {*} value - Decrypted fragment value
+ * @param {RegExp} matcher - From createMatcher
+ * @param {object} [options]
+ * @param {boolean} [options.keysOnly] - Only match object keys, not values
+ * @returns {Array<{at: string, on: 'key'|'value', text: string}>} `at` is a jq-style
+ *   location (".db.password", "line 3" for plain-text fragments)
+ */
+export function searchValue(value, matcher, { keysOnly = false } = {}) {
+  const matches = [];
+
+  if (typeof value === 'string') {
+    if (!keysOnly) {
+      value.split('\n').forEach((line, i) => {
+        if (matcher.test(line)) {
+          matches.push({ at: `line ${i + 1}`, on: 'value', text: line });
+        }
+      });
+    }
+    return matches;
+  }
+
+  const walk = (node, at) => {
+    if (node !== null && typeof node === 'object') {
+      const entries = Array.isArray(node) ? node.map((v, i) => [i, v]) : Object.entries(node);
+      for (const [key, child] of entries) {
+        const childAt = keyPath(at, key);
+        if (typeof key === 'string' && matcher.test(key)) {
+          matches.push({ at: childAt, on: 'key', text: key });
+        }
+        walk(child, childAt);
+      }
+    } else if (!keysOnly && node !== null && node !== undefined) {
+      const text = String(node);
+      if (matcher.test(text)) {
+        matches.push({ at: at || '.', on: 'value', text });
+      }
+    }
+  };
+  walk(value, '');
+  return matches;
+}
+
+/**
+ * Shortens text to a window around the first match
+ *
+ * @param {string} text - Matched text
+ * @param {RegExp} matcher - From createMatcher
+ * @param {number} [width] - Maximum characters to keep
+ * @returns {string}
+ */
+export function matchSnippet(text, matcher, width = 80) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  if (singleLine.length <= width) {
+    return singleLine;
+  }
+  const found = singleLine.match(matcher);
+  const index = found ? found.index : 0;
+  const start = Math.max(0, Math.min(index - Math.floor(width / 3), singleLine.length - width));
+  const end = start + width;
+  return `${start > 0 ? '…' : ''}${singleLine.slice(start, end)}${
+    end < singleLine.length ? '…' : ''
+  }`;
+}
+
+/**
+ * Marks every match in a line of output, not just the first
+ *
+ * @param {string} text - Text to mark up, e.g. from matchSnippet
+ * @param {RegExp} matcher - From createMatcher
+ * @param {Function} mark - (match) => marked-up match
+ * @returns {string}
+ */
+export function highlightMatches(text, matcher, mark) {
+  // createMatcher's regex isn't global, since test() on a global regex keeps state
+  const everywhere = new RegExp(matcher.source, `${matcher.flags.replace('g', '')}g`);
+  return text.replace(everywhere, (match) => (match ? mark(match) : match));
+}
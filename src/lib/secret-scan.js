@@ -0,0 +1,150 @@
+import { isUtf8 } from './payload.js';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+// Heuristics for values that shouldn't be stored as public (plaintext) fragments.
+// False positives are expected; callers let the user override with --allow-secrets.
+
+const PATTERNS = [
+  { type: 'Private key', regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+  {
+    type: 'JSON Web Token',
+    regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/,
+  },
+  { type: 'AWS access key ID', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  {
+    type: 'AWS secret access key',
+    regex: /aws.{0,20}?(?:secret|key).{0,5}?['"=:\s]+[A-Za-z0-9/+=]{40}\b/i,
+  },
+  { type: 'GCP service account key', regex: /"type"\s*:\s*"service_account"/ },
+  { type: 'Google API key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { type: 'Google OAuth token', regex: /\bya29\.[0-9A-Za-z_-]{20,}/ },
+  { type: 'GitHub token', regex: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}\b/ },
+  { type: 'GitHub token', regex: /\bgithub_pat_[A-Za-z0-9_]{60,}\b/ },
+  { type: 'Stripe secret key', regex: /\b[rs]k_live_[0-9A-Za-z]{16,}\b/ },
+  { type: 'Slack token', regex: /\bxox[abposr]-[0-9A-Za-z-]{10,}/ },
+  { type: 'URL with password', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:[^\s@/]+@[^\s]+/i },
+];
+
+// Binary formats whose whole purpose is holding private keys
+const KEY_STORE_TYPES = new Set(['application/x-pkcs12', 'application/x-java-keystore']);
+
+const BIP39_WORDS = new Set(wordlist);
+const MIN_MNEMONIC_WORDS = 12;
+const MIN_ENTROPY_LENGTH = 20;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function looksRandom(token) {
+  if (token.length < MIN_ENTROPY_LENGTH || UUID.test(token)) {
+    return false;
+  }
+  // Needs letters and digits, so long words and identifiers don't count
+  if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) {
+    return false;
+  }
+  const isHex = /^[0-9a-f]+$/i.test(token);
+  return entropy(token) >= (isHex ? 3.5 : 4.2);
+}
+
+function hasMnemonic(text) {
+  let run = 0;
+  for (const word of text.toLowerCase().split(/[\s,]+/)) {
+    run = BIP39_WORDS.has(word) ? run + 1 : 0;
+    if (run >= MIN_MNEMONIC_WORDS) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Shows just enough of a match to recognise it
+function mask(text) {
+  const visible = text.slice(0, 6);
+  return text.length > 6 ? `${visible}…` : visible;
+}
+
+function matchPatterns(text) {
+  const findings = [];
+  for (const { type, regex } of PATTERNS) {
+    const match = text.match(regex);
+    if (match) {
+      findings.push({ type, sample: mask(match[0]) });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scans a string for things that look like credentials
+ *
+ * @param {string} text
+ * @returns {Array<{type: string, sample: string}>}
+ */
+export function scanText(text) {
+  const findings = matchPatterns(text);
+  if (hasMnemonic(text)) {
+    findings.push({ type: 'BIP-39 recovery phrase', sample: `${MIN_MNEMONIC_WORDS}+ words` });
+  }
+  if (findings.length === 0) {
+    const token = text.split(/[^A-Za-z0-9+/=_-]+/).find(looksRandom);
+    if (token) {
+      findings.push({ type: 'High-entropy string', sample: mask(token) });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scans every string in a fragment value
+ *
+ * @param {*} value - Value about to be stored
+ * @returns {Array<{at: string, type: string, sample: string}>} `at` is a jq-style location
+ */
+export function scanForSecrets(value) {
+  const findings = [];
+  const walk = (node, at) => {
+    if (typeof node === 'string') {
+      scanText(node).forEach((finding) => findings.push({ at: at || '.', ...finding }));
+    } else if (Array.isArray(node)) {
+      node.forEach((child, i) => walk(child, `${at}[${i}]`));
+    } else if (node && typeof node === 'object') {
+      for (const [key, child] of Object.entries(node)) {
+        const isIdentifier = /^[A-Za-z_$][\w$-]*$/.test(key);
+        walk(child, isIdentifier ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`);
+      }
+    }
+  };
+  walk(value, '');
+  return findings;
+}
+
+/**
+ * Scans a binary payload. Text is scanned like any string; other bytes only for the
+ * fixed patterns (e.g. a PEM key inside an archive), since random-looking data is normal
+ *
+ * @param {Uint8Array} bytes - Decoded payload
+ * @param {string} contentType - Content type it was stored with
+ * @returns {Array<{type: string, sample: string}>}
+ */
+export function scanBytes(bytes, contentType) {
+  if (KEY_STORE_TYPES.has(contentType)) {
+    return [{ type: 'Key store', sample: contentType }];
+  }
+  if (isUtf8(bytes)) {
+    return scanText(Buffer.from(bytes).toString('utf8'));
+  }
+  return matchPatterns(Buffer.from(bytes).toString('latin1'));
+}
@@ -0,0 +1,68 @@
+// Snapshots are fragments themselves: snapshot "before-migration" lives at
+// "_snapshots/before-migration" with the value { name, prefix, createdAt, fragments },
+// where fragments lists the version of every fragment under the prefix. Recovering
+// writes a new version, so restore adds `restored` ({ [path]: version written }) to
+// tell a restored fragment apart from one that changed since.
+export const SNAPSHOT_ROOT = '_snapshots/';
+
+// Numbers below this are more likely a mistyped date (e.g. a bare year) than epoch ms
+const MIN_EPOCH_MS = 1e11;
+
+/**
+ * Returns the fragment path a snapshot is stored at
+ * @param {string} name - Snapshot name (letters, digits, ".", "_" and "-")
+ * @returns {string}
+ */
+export function snapshotPathFor(name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid snapshot name "${name}": use letters, digits, ".", "_" and "-"`);
+  }
+  return `${SNAPSHOT_ROOT}${name}`;
+}
+
+/**
+ * Parses a point in time given on the command line
+ * @param {string|number} value - ISO 8601 date/time, or milliseconds since the epoch
+ *   (at least 1e11, so `--at=2026` is rejected rather than read as 1970)
+ * @returns {Date}
+ */
+export function parseTime(value) {
+  const text = value === true ? '' : String(value).trim();
+  let time = null;
+  if (/^\d+$/.test(text)) {
+    time = Number(text) >= MIN_EPOCH_MS ? new Date(Number(text)) : null;
+  } else if (/^\d{4}-\d{2}-\d{2}(?:T|$)/.test(text)) {
+    time = new Date(text);
+  }
+  if (!time || Number.isNaN(time.getTime())) {
+    throw new Error(
+      `Invalid time: ${value} (use ISO 8601, e.g. 2026-09-01T00:00Z, or milliseconds since the epoch)`
+    );
+  }
+  return time;
+}
+
+/**
+ * Works out what restoring a snapshot would do
+ *
+ * @param {object} snapshot - Snapshot value ({ fragments: [{ path, version }], restored? })
+ * @param {Map<string, number|undefined>} current - Current version of every live
+ *   fragment under the snapshot's prefix
+ * @returns {Array<{path: string, version?: number, current?: number, action: string}>}
+ *   action is "recover", "unchanged" or "extra" (created after the snapshot, left alone)
+ */
+export function planRestore(snapshot, current) {
+  const restored = snapshot.restored || {};
+  const plan = snapshot.fragments.map(({ path, version }) => {
+    const live = current.get(path);
+    const matches = live !== undefined && (live === version || live === restored[path]);
+    return { path, version, current: live, action: matches ? 'unchanged' : 'recover' };
+  });
+  const recorded = new Set(snapshot.fragments.map(({ path }) => path));
+  for (const [path, version] of current) {
+    if (!recorded.has(path)) {
+      plan.push({ path, current: version, action: 'extra' });
+    }
+  }
+  return plan.sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -0,0 +1,224 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  decodeBinaryPayload,
+  encodeBinaryPayload,
+  getBinaryInfo,
+  guessContentType,
+  isUtf8,
+} from './payload.js';
+
+export const SYNC_STATE_FILE = '.identa-sync.json';
+
+/**
+ * Ensures a fragment prefix ends with exactly one slash
+ * @param {string} prefix - Fragment path prefix
+ * @returns {string} The normalized prefix
+ */
+export function normalizePrefix(prefix) {
+  return `${prefix.replace(/\/+$/, '')}/`;
+}
+
+/**
+ * Recursively lists files under a directory as POSIX-style relative paths
+ * (hidden files and the sync state file are skipped)
+ *
+ * @param {string} dir - Root directory
+ * @returns {string[]} Sorted relative paths
+ */
+export function listLocalFiles(dir) {
+  const files = [];
+
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+
+  if (fs.existsSync(dir)) {
+    walk(dir);
+  }
+  return files.sort();
+}
+
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Checks that a path taken from a fragment name stays inside the sync directory
+ * @param {string} relPath - Path relative to the sync prefix
+ * @returns {boolean} false for empty, absolute, "." or ".." segments
+ */
+export function isSafeRelPath(relPath) {
+  return (
+    relPath !== '' &&
+    !relPath.includes('\\') &&
+    !path.isAbsolute(relPath) &&
+    relPath.split('/').every((segment) => segment !== '' && segment !== '.' && segment !== '..')
+  );
+}
+
+/**
+ * Converts file contents to a fragment value.
+ * .json files are stored as parsed JSON, other text as a string, and anything that
+ * isn't UTF-8 as a binary payload (same encoding as `fragment put --file`).
+ *
+ * @param {string} relPath - Relative file path
+ * @param {Buffer} bytes - File contents
+ * @returns {{data: *, fields?: Array<{key: string, value: string}>}} fields go in meta.fields
+ */
+export function fileToValue(relPath, bytes) {
+  if (!isUtf8(bytes)) {
+    return encodeBinaryPayload(bytes, guessContentType(relPath));
+  }
+  const content = Buffer.from(bytes).toString('utf8');
+  if (relPath.endsWith('.json')) {
+    try {
+      return { data: JSON.parse(content) };
+    } catch (err) {
+      throw new Error(`${relPath} is not valid JSON: ${err.message}`);
+    }
+  }
+  return { data: content };
+}
+
+/**
+ * Converts a fragment value back to file contents (inverse of fileToValue)
+ * @param {string} relPath - Relative file path
+ * @param {*} value - Decrypted fragment value
+ * @param {object} [meta] - Fragment meta, to recognise binary payloads
+ * @returns {string|Buffer}
+ */
+export function valueToFile(relPath, value, meta) {
+  if (getBinaryInfo(meta)) {
+    return decodeBinaryPayload(value);
+  }
+  if (relPath.endsWith('.json') || typeof value !== 'string') {
+    return `${JSON.stringify(value, null, 2)}\n`;
+  }
+  return value;
+}
+
+/**
+ * Identifies a remote revision so we can tell whether it changed since the last sync
+ */
+export function remoteRevision(envelope) {
+  if (!envelope?.meta) return null;
+  return String(envelope.meta.version ?? envelope.meta.ts ?? '');
+}
+
+export function loadSyncState(dir, prefix) {
+  const statePath = path.join(dir, SYNC_STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return { prefix, files: {} };
+  }
+
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  if (state.prefix !== prefix) {
+    throw new Error(
+      `${statePath} belongs to prefix ${state.prefix}, not ${prefix}. Remove it to start a fresh sync.`
+    );
+  }
+  state.files = state.files || {};
+  return state;
+}
+
+export function saveSyncState(dir, state) {
+  const statePath = path.join(dir, SYNC_STATE_FILE);
+  // Lists the subject's remote paths and versions, so keep it private like the config
+  fs.writeFileSync(statePath, `${JSON.stringify(state, null, 2)}\n`, { mode: 0o600 });
+  fs.chmodSync(statePath, 0o600);
+}
+
+/**
+ * Works out what to do for every file known locally, remotely or in the state file.
+ *
+ * @param {object} params
+ * @param {Object<string, {hash: string}>} params.local - Local files by relative path
+ * @param {Object<string, {revision: string, hash?: string}>} params.remote - Remote fragments by relative path
+ *   (hash is only needed where there is no sync state to compare against)
+ * @param {object} params.state - Sync state from loadSyncState()
+ * @param {'push'|'pull'|'both'} params.direction - Which changes to apply
+ * @returns {Array<{relPath: string, action: string, reason: string}>} One entry per path;
+ *   action is one of push, pull, conflict, skip, none
+ */
+export function planSync({ local, remote, state, direction }) {
+  const relPaths = new Set([
+    ...Object.keys(local),
+    ...Object.keys(remote),
+    ...Object.keys(state.files),
+  ]);
+  const canPush = direction !== 'pull';
+  const canPull = direction !== 'push';
+  const plan = [];
+
+  for (const relPath of [...relPaths].sort()) {
+    const l = local[relPath];
+    const r = remote[relPath];
+    const s = state.files[relPath];
+
+    let action = 'none';
+    let reason = 'unchanged';
+
+    if (l && r) {
+      const localChanged = !s || l.hash !== s.hash;
+      const remoteChanged = !s || r.revision !== s.revision;
+
+      if (!s && r.hash === l.hash) {
+        action = 'none';
+        reason = 'identical';
+      } else if (localChanged && remoteChanged) {
+        action = 'conflict';
+        reason = s ? 'changed locally and remotely' : 'differs and was never synced';
+      } else if (localChanged) {
+        action = 'push';
+        reason = 'changed locally';
+      } else if (remoteChanged) {
+        action = 'pull';
+        reason = 'changed remotely';
+      }
+    } else if (l) {
+      if (!s) {
+        action = 'push';
+        reason = 'new local file';
+      } else {
+        action = 'skip';
+        reason = 'deleted remotely';
+      }
+    } else if (r) {
+      if (!s) {
+        action = 'pull';
+        reason = 'new remote fragment';
+      } else {
+        action = 'skip';
+        reason = 'deleted locally';
+      }
+    } else {
+      action = 'skip';
+      reason = 'deleted on both sides';
+    }
+
+    // A one-way sync settles conflicts in favour of the side it copies from
+    if (action === 'conflict' && direction !== 'both') {
+      action = direction;
+      reason = `${reason}, keeping ${direction === 'push' ? 'local' : 'remote'} copy`;
+    }
+
+    if ((action === 'push' && !canPush) || (action === 'pull' && !canPull)) {
+      reason = `${reason} (${action} disabled by --direction=${direction})`;
+      action = 'skip';
+    }
+
+    plan.push({ relPath, action, reason });
+  }
+
+  return plan;
+}
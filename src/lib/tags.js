@@ -0,0 +1,95 @@
+// Tags are stored in meta.tags as "key=value" strings (or a bare "key"), custom
+// metadata in meta.fields as {key, value} pairs.
+
+function toList(flag) {
+  if (flag === undefined || flag === null || flag === true || flag === false) {
+    return [];
+  }
+  return (Array.isArray(flag) ? flag : [flag]).map(String);
+}
+
+/**
+ * Parses repeatable --tag flags into meta.tags entries
+ * @param {string|string[]} flag - Raw flag value(s) from meow
+ * @returns {string[]} Tags as "key=value" or "key"
+ */
+export function parseTags(flag) {
+  const tags = [];
+  for (const entry of toList(flag)) {
+    const tag = entry.trim();
+    if (!tag || tag.startsWith('=')) {
+      throw new Error(`Invalid tag "${entry}": expected key=value`);
+    }
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Parses repeatable --meta flags into meta.fields entries. Each flag is either
+ * key=value or a JSON object of string values.
+ *
+ * @param {string|string[]} flag - Raw flag value(s) from meow
+ * @returns {Array<{key: string, value: string}>}
+ */
+export function parseMetaFields(flag) {
+  const fields = new Map();
+  for (const entry of toList(flag)) {
+    if (entry.trim().startsWith('{')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(entry);
+      } catch (err) {
+        throw new Error(`Invalid --meta JSON: ${err.message}`);
+      }
+      for (const [key, value] of Object.entries(parsed)) {
+        fields.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+      }
+      continue;
+    }
+
+    const eq = entry.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid --meta "${entry}": expected key=value or a JSON object`);
+    }
+    fields.set(entry.slice(0, eq).trim(), entry.slice(eq + 1));
+  }
+  return [...fields].map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Checks a fragment's tags against --tag filters. A filter "key=value" needs
+ * that exact tag; a bare "key" matches any value for that key. All filters must match.
+ *
+ * @param {object} [meta] - Fragment meta
+ * @param {string[]} filters - Parsed filters
+ * @returns {boolean}
+ */
+export function matchesTags(meta, filters) {
+  const tags = Array.isArray(meta?.tags) ? meta.tags : [];
+  return filters.every((filter) =>
+    filter.includes('=')
+      ? tags.includes(filter)
+      : tags.some((tag) => tag === filter || tag.startsWith(`${filter}=`))
+  );
+}
+
+/**
+ * Returns the tags and fields that should follow a fragment when it's rewritten
+ * (edit, copy), or undefined if it has none
+ *
+ * @param {object} [meta] - Fragment meta
+ * @returns {{tags?: string[], fields?: Array<{key: string, value: string}>}|undefined}
+ */
+export function pickUserMeta(meta) {
+  const picked = {};
+  if (Array.isArray(meta?.tags) && meta.tags.length > 0) {
+    picked.tags = meta.tags;
+  }
+  if (Array.isArray(meta?.fields) && meta.fields.length > 0) {
+    picked.fields = meta.fields;
+  }
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
@@ -0,0 +1,92 @@
+import { runQuery } from './query.js';
+
+// Placeholders for `identa render`:
+//
+//   {{ fragment "config/db" }}              whole fragment (objects become JSON)
+//   {{ fragment "config/db" ".password" }}  part of it (any --query expression)
+//   {{ secret "github-token" }}             local secret (`identa secrets get`)
+//
+// Anything else in {{ }} is left alone, so templates for Helm, Go templates and
+// the like pass through untouched.
+
+const PLACEHOLDER = /\{\{\s*(fragment|secret)\b(.*?)\}\}/g;
+const ARGUMENT = /^("(?:[^"\\]|\\.)*"|'[^']*')\s*/;
+
+// Quoted arguments, in double (JSON escapes) or single quotes; null if malformed
+function parseArguments(text) {
+  const args = [];
+  let rest = text.trim();
+  while (rest) {
+    const match = rest.match(ARGUMENT);
+    if (!match) {
+      return null;
+    }
+    try {
+      args.push(match[1].startsWith('"') ? JSON.parse(match[1]) : match[1].slice(1, -1));
+    } catch (error) {
+      return null;
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return args;
+}
+
+/**
+ * Finds every fragment and secret placeholder in a template
+ *
+ * @param {string} template - Template text
+ * @returns {Array<{key: string, type: 'fragment'|'secret', path?: string, query?: string,
+ *   name?: string, line: number, text: string}>} `key` is the same for placeholders
+ *   that refer to the same value
+ * @throws {Error} On a placeholder with the wrong arguments, naming its line
+ */
+export function findReferences(template) {
+  const references = [];
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    const [text, type, argText] = match;
+    const line = template.slice(0, match.index).split('\n').length;
+    const args = parseArguments(argText);
+    const expected = type === 'fragment' ? [1, 2] : [1];
+    if (!args || !expected.includes(args.length) || args.some((arg) => arg === '')) {
+      throw new Error(
+        `Line ${line}: expected ${
+          type === 'fragment' ? '{{ fragment "PATH" ["QUERY"] }}' : '{{ secret "NAME" }}'
+        }, got ${text}`
+      );
+    }
+    references.push(
+      type === 'fragment'
+        ? { key: JSON.stringify(args), type, path: args[0], query: args[1], line, text }
+        : { key: JSON.stringify(['secret', args[0]]), type, name: args[0], line, text }
+    );
+  }
+  return references;
+}
+
+/**
+ * Converts a fragment value (or the part a query selects) to template text
+ *
+ * @param {*} value - Decrypted fragment value
+ * @param {string} [query] - Query expression
+ * @returns {string|undefined} undefined if the query matched nothing
+ */
+export function fragmentText(value, query) {
+  const selected = query === undefined ? value : runQuery(value, query)[0];
+  if (selected === undefined) {
+    return undefined;
+  }
+  return typeof selected === 'string' ? selected : JSON.stringify(selected);
+}
+
+/**
+ * Replaces every placeholder with its resolved value
+ *
+ * @param {string} template - Template text
+ * @param {Map<string, string>} values - Resolved text by reference key
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+  let index = 0;
+  const references = findReferences(template);
+  return template.replace(PLACEHOLDER, () => values.get(references[index++].key));
+}
@@ -0,0 +1,76 @@
+import config from './config.js';
+import fs from 'fs';
+import path from 'path';
+
+// The API can't list deleted fragments, so deletions made from this CLI are
+// remembered in a file next to the config, along with the last version before the delete.
+const TRASH_FILE = 'trash.json';
+const MAX_ENTRIES = 500;
+
+// Older versions kept the list in the config file under this key
+const LEGACY_TRASH_KEY = 'trash';
+
+function trashPath() {
+  return path.join(path.dirname(config.path), TRASH_FILE);
+}
+
+function readTrash() {
+  let entries;
+  if (fs.existsSync(trashPath())) {
+    entries = JSON.parse(fs.readFileSync(trashPath(), 'utf8'));
+  } else {
+    entries = config.get(LEGACY_TRASH_KEY);
+  }
+  return Array.isArray(entries) ? entries : [];
+}
+
+function writeTrash(entries) {
+  fs.mkdirSync(path.dirname(trashPath()), { recursive: true });
+  fs.writeFileSync(trashPath(), `${JSON.stringify(entries, null, 2)}\n`, { mode: 0o600 });
+  if (config.has(LEGACY_TRASH_KEY)) {
+    config.delete(LEGACY_TRASH_KEY);
+  }
+}
+
+/**
+ * Remembers a deleted fragment so `fragment trash` can list it later
+ *
+ * @param {object} entry
+ * @param {string} entry.subject - Subject that owns the fragment
+ * @param {string} entry.path - Fragment path
+ * @param {number} [entry.version] - Last version before the delete
+ */
+export function recordDeletion({ subject, path, version }) {
+  const entry = { subject, path, deletedAt: new Date().toISOString() };
+  if (version !== undefined && version !== null) {
+    entry.version = version;
+  }
+
+  const entries = readTrash().filter((e) => !(e.subject === subject && e.path === path));
+  entries.push(entry);
+  writeTrash(entries.slice(-MAX_ENTRIES));
+}
+
+/**
+ * Lists remembered deletions for a subject, newest first
+ *
+ * @param {string} subject - Subject that owns the fragments
+ * @param {string} [prefix] - Only return paths starting with this prefix
+ * @returns {Array<{subject: string, path: string, version?: number, deletedAt: string}>}
+ */
+export function getTrash(subject, prefix = '') {
+  return readTrash()
+    .filter((e) => e.subject === subject && e.path.startsWith(prefix))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Forgets a deletion, e.g. after the fragment was recovered or re-created
+ */
+export function removeFromTrash(subject, path) {
+  const entries = readTrash();
+  const remaining = entries.filter((e) => !(e.subject === subject && e.path === path));
+  if (remaining.length !== entries.length) {
+    writeTrash(remaining);
+  }
+}
@@ -0,0 +1,94 @@
+// Groups fragment paths into a hierarchy by "/" segments, keeping a fragment
+// count and byte total for every subtree.
+
+function createNode(name) {
+  return { name, children: new Map(), count: 0, size: 0 };
+}
+
+/**
+ * Builds a tree from listing rows
+ *
+ * @param {Array<{path: string, size?: number}>} rows - Fragments under the prefix
+ * @param {string} [prefix] - Common prefix stripped from every path
+ * @returns {object} Root node; `fragment` is set on nodes that are fragments themselves
+ */
+export function buildTree(rows, prefix = '') {
+  const root = createNode(prefix);
+  for (const row of rows) {
+    const relative = row.path.startsWith(prefix) ? row.path.slice(prefix.length) : row.path;
+    let node = root;
+    node.count++;
+    node.size += row.size || 0;
+    for (const part of relative.split('/').filter(Boolean)) {
+      if (!node.children.has(part)) {
+        node.children.set(part, createNode(part));
+      }
+      node = node.children.get(part);
+      node.count++;
+      node.size += row.size || 0;
+    }
+    node.fragment = row;
+  }
+  return root;
+}
+
+/**
+ * Draws a tree with box-drawing characters
+ *
+ * @param {object} root - Node from buildTree
+ * @param {Function} label - (node) => string for each child line
+ * @returns {string[]} Lines, not including the root
+ */
+export function renderTree(root, label) {
+  const lines = [];
+  const walk = (node, indent) => {
+    const children = [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name));
+    children.forEach((child, i) => {
+      const last = i === children.length - 1;
+      lines.push(`${indent}${last ? '└── ' : '├── '}${label(child)}`);
+      walk(child, `${indent}${last ? '    ' : '│   '}`);
+    });
+  };
+  walk(root, '');
+  return lines;
+}
+
+/**
+ * Lists every subtree (node with children) with its totals, largest first
+ *
+ * @param {object} root - Node from buildTree
+ * @param {number} [maxDepth] - Levels below the root to include
+ * @returns {Array<{path: string, count: number, size: number}>}
+ */
+export function summarizeTree(root, maxDepth = Infinity) {
+  const rows = [];
+  const walk = (node, nodePath, depth) => {
+    rows.push({ path: nodePath, count: node.count, size: node.size });
+    if (depth >= maxDepth) {
+      return;
+    }
+    for (const child of node.children.values()) {
+      if (child.children.size > 0) {
+        walk(child, `${nodePath}${child.name}/`, depth + 1);
+      }
+    }
+  };
+  walk(root, root.name, 0);
+  return rows.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path));
+}
+
+/**
+ * Formats a byte count for people (1024-based)
+ * @param {number} bytes
+ * @returns {string} e.g. "512 B", "12.3 KB"
+ */
+export function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
@@ -3,6 +3,8 @@ import spinners from 'cli-spinners';
 
 export const waitFor = (promise, options) => {
   // await waitFor(promise, { text: 'Loading unicorns', spinner: spinners.dots });
+  // Pass a function instead to get the spinner and update its text while working:
+  // await waitFor((spinner) => work(() => (spinner.text = 'Still going')), { text: 'Working' });
 
   const spinner = ora({
     text: 'Processing...',
@@ -10,6 +12,9 @@ export const waitFor = (promise, options) => {
     ...options,
   });
   spinner.start();
+  if (typeof promise === 'function') {
+    promise = promise(spinner);
+  }
   promise.then(
     () => {
       spinner.succeed();